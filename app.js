@@ -1,7 +1,19 @@
 /* ============================================================
-   FRA Flight Tracker — App Logic + Runway Prediction Engine
+   FRA Flight Tracker — App Logic
+   ============================================================
+   Map, sidebar and data feeds. The runway prediction itself lives in
+   engine.js, which has no DOM dependencies.
    ============================================================ */
 
+import {
+    ARRIVING_MAX_ALT, ARRIVING_MAX_DIST, TRACK_MAX_AGE, DISTANCE_BUCKETS, TAILWIND_LIMIT,
+    buildAirport, parseStates, parseMetar, formatWind, windComponents,
+    updateTrackHistory, runPredictions, distanceBucket, identifyLandingRunway,
+    CONFIG_HYSTERESIS, createConfigState, parseAircraftCsv, parseAircraftJson, enrichFlight, callsignPrefix,
+    squawkAlert, approachSequence, GLIDEPATH_ANGLE, glidepathAltitude, distanceToThreshold, deadReckon,
+    overflight, runwayEnds, destinationPoint, holdingStacks, flightsToCsv, flightsToGeoJson, flightsToKml,
+} from './engine.js';
+
 (function () {
     'use strict';
 
@@ -9,91 +21,71 @@
     // Constants
     // ========================
 
-    const FRA = { lat: 50.0267, lng: 8.5584 };
     const REFRESH_INTERVAL = 15_000;
-    const ARRIVING_MAX_ALT = 4000;   // meters — only predict for aircraft below this
-    const ARRIVING_MAX_DIST = 80;    // km — consider aircraft within this radius
-    const FRA_ELEVATION = 111;       // meters above sea level
-
-    // Runway threshold coordinates (from AIP Germany / metar-taf.com)
-    // The "threshold" is the landing end for that runway designation.
-    // For westerly ops (heading ~249°), planes land on 25R, 25C, and 25L.
-    // For easterly ops (heading ~69°), planes land on 07L, 07C, and 07R.
-    //
-    // Physical layout (north to south):
-    //   07L/25R  = Northwest runway (2800m, LANDING)
-    //   07C/25C  = Center runway (4000m, LANDING + DEPARTURES)
-    //   07R/25L  = South runway (4000m, LANDING)
-    //   18/36    = West runway, N-S oriented (4000m, DEPARTURES only)
-
-    const RUNWAYS = {
-        '25R': {
-            // Northwest runway — western threshold (landing end for 25R)
-            threshold: { lat: 50.0371, lng: 8.4971 },
-            opposite: { lat: 50.0458, lng: 8.5337 },
-            heading: 249,
-            color: '#3b82f6',
-            label: '25R (NW Runway)',
-        },
-        '25C': {
-            // Center runway — western threshold (landing end for 25C)
-            threshold: { lat: 50.0326, lng: 8.5346 },
-            opposite: { lat: 50.0451, lng: 8.5870 },
-            heading: 249,
-            color: '#8b5cf6',
-            label: '25C (Center)',
-        },
-        '25L': {
-            // South runway — western threshold (landing end for 25L)
-            threshold: { lat: 50.0275, lng: 8.5342 },
-            opposite: { lat: 50.0401, lng: 8.5865 },
-            heading: 249,
-            color: '#10b981',
-            label: '25L (South Runway)',
-        },
-        '07L': {
-            // Northwest runway — eastern threshold (landing end for 07L)
-            threshold: { lat: 50.0458, lng: 8.5337 },
-            opposite: { lat: 50.0371, lng: 8.4971 },
-            heading: 69,
-            color: '#f59e0b',
-            label: '07L (NW Runway)',
-        },
-        '07C': {
-            // Center runway — eastern threshold (landing end for 07C)
-            threshold: { lat: 50.0451, lng: 8.5870 },
-            opposite: { lat: 50.0326, lng: 8.5346 },
-            heading: 69,
-            color: '#a855f7',
-            label: '07C (Center)',
-        },
-        '07R': {
-            // South runway — eastern threshold (landing end for 07R)
-            threshold: { lat: 50.0401, lng: 8.5865 },
-            opposite: { lat: 50.0275, lng: 8.5342 },
-            heading: 69,
-            color: '#ef4444',
-            label: '07R (South Runway)',
-        },
-    };
-
-    // Which runways are used for landing in each config
-    const CONFIGS = {
-        westerly: ['25R', '25C', '25L'],
-        easterly: ['07L', '07C', '07R'],
-    };
-
-    // All physical runway lines (for drawing on map)
-    const RUNWAY_LINES = [
-        // Northwest runway (07L/25R) — used for landing
-        { from: { lat: 50.0371, lng: 8.4971 }, to: { lat: 50.0458, lng: 8.5337 }, label: '07L/25R', landing: true },
-        // Center runway (07C/25C) — landing + departures
-        { from: { lat: 50.0326, lng: 8.5346 }, to: { lat: 50.0451, lng: 8.5870 }, label: '07C/25C', landing: true },
-        // South runway (07R/25L) — used for landing
-        { from: { lat: 50.0275, lng: 8.5342 }, to: { lat: 50.0401, lng: 8.5865 }, label: '07R/25L', landing: true },
-        // West runway (18/36) — departures only, N-S oriented
-        { from: { lat: 50.0342, lng: 8.5259 }, to: { lat: 49.9985, lng: 8.5263 }, label: '18/36', landing: false },
-    ];
+    const REQUEST_TIMEOUT = 10_000;  // ms before a poll is aborted
+    const BACKOFF_MAX = 300_000;     // ms — longest wait between failed polls
+    const STALE_AGE = 30;            // seconds without an update before a flight is shown as stale
+    const DEAD_RECKONING_MAX = 20;   // seconds a marker is moved on past its last fix
+    const BLEND_DURATION = 2000;     // ms for a marker to glide onto a new fix
+    const CANVAS_HIT_RADIUS = 14;    // px — how close a click must be to an aircraft on the canvas layer
+
+    // Airport definitions live in airports/*.json, listed in airports/index.json.
+    // Each file describes the physical runways (both ends with threshold,
+    // heading and color), the operating configurations with their landing and
+    // departure runways, and the bounding box polled from OpenSky.
+    // To support another parallel-runway airport, add a file and list it.
+    const AIRPORTS_DIR = 'airports';
+    const DEFAULT_AIRPORT = 'EDDF';
+
+    // Aircraft metadata: icao24 → registration/type/wake/operator as CSV or
+    // JSON (override with ?aircraftdb=url), and airline names by ICAO prefix
+    const AIRCRAFT_DB = 'aircraft/aircraft.csv';
+    const AIRLINES_FILE = 'aircraft/airlines.json';
+
+    // Data sources (see DATA_SOURCES)
+    const OPENSKY_API = 'https://opensky-network.org/api/states/all';
+    const DUMP1090_ENDPOINT = 'http://localhost:8080/data/aircraft.json';
+    const STATIC_ENDPOINT = 'mock/opensky-states.json';
+
+    // Accuracy scoring
+    const LANDING_MAX_HEIGHT = 300;  // m above the airport — lower than this when lost counts as landed
+    const LANDING_LOST_TIMEOUT = 60; // seconds without data before an aircraft counts as lost
+    const STATS_RECENT = 20;         // recent landings and go-arounds kept for the stats panel
+
+    // Wind
+    const METAR_REFRESH = 600_000;   // ms between METAR reloads from a URL
+
+    // Configuration changes
+    const CONFIG_EVENTS_MAX = 50;    // direction changes kept per airport
+
+    // Squawk alerts
+    const ALERT_HISTORY_MAX = 100;   // alerts kept in the history
+
+    // Approach sequence
+    const SEQUENCE_MIN_GAP = 3;      // NM — default minimum spacing between arrivals
+
+    // Vertical profile chart
+    const PROFILE_MAX_DIST = 25;     // NM from the threshold
+    const PROFILE_MAX_ALT = 10_000;  // ft
+
+    // Map overlays
+    const CENTERLINE_LENGTH = 15;    // NM — default length of the extended centerlines
+    const FEATHER_LENGTH = 10;       // NM of each approach drawn as a feather
+    const FEATHER_SPREAD = 2.5;      // ° each side of the centerline, about the localizer's width
+    const RANGE_RING_STEP = 10;      // NM between range rings
+    const RANGE_RING_COUNT = 5;
+
+    // Noise watch
+    const OVERHEAD_MAX_LATERAL = 2;  // km off the extended centerline that still counts as overhead
+    const OVERHEAD_HORIZON = 1200;   // seconds ahead the overhead list looks
+    const OVERHEAD_NOTIFY_TIME = 180; // seconds before an overflight its notification goes out
+
+    // Deep links
+    const HASH_UPDATE_DELAY = 300;   // ms — the URL hash is rewritten once panning or typing pauses
+
+    // Recording & replay
+    const RECORDING_DB = 'fra-tracker';
+    const REPLAY_TICK = 250;         // ms between replay clock updates
 
     // ========================
     // State
@@ -101,12 +93,56 @@
 
     let map;
     let aircraftMarkers = new Map();
+    let trailLayers = new Map();
+    let markerMotion = new Map();    // icao24 → dead reckoning state, see animateMarkers()
+    let canvasLayer = null;          // replaces the DOM markers when enabled, see setCanvasMarkers()
+    let canvasPopup = null;          // popup of the selected aircraft on the canvas layer
+    let trackHistory = new Map();
     let runwayLayers = [];
-    let fraMarker = null;
+    let overlays = { centerlines: false, feathers: false, rings: false, radius: false, bbox: false, centerlineLength: CENTERLINE_LENGTH }; // see initOverlays()
+    let overlayLayer = null;         // overlays currently drawn
+    let overlayConfig = null;        // configuration the overlays were drawn for
+    let airportMarker = null;
+    let airportList = [];
+    let airport = null;              // active airport, see buildAirport()
     let activeConfig = null;
+    let configDecision = null;       // see detectConfiguration()
+    let configState = createConfigState(); // smoothed configuration, see updateConfigState()
+    let approachStates = new Map();  // icao24 → approach watched for a go-around, see updateApproaches()
+    let holdStates = new Map();      // icao24 → hold being flown, see updateHolds()
+    let stacks = [];                 // current holding stacks, see holdingStacks()
+    let holdingLayer = null;         // stack markers on the map
+    let configTracking = { hysteresis: CONFIG_HYSTERESIS, notify: false };
+    let configEvents = null;         // per airport, see airportConfigEvents()
+    let metar = null;                // parsed METAR, see parseMetar()
+    let metarSource = '';            // pasted METAR or URL to load it from
+    let metarError = null;
     let selectedIcao = null;
-    let searchFilter = '';
+    let searchQuery = parseQuery(''); // see parseQuery()
+    let filterControls = parseQuery(''); // filter from the selects, same shape as a parsed query
+    let sortKey = 'distance';
+    let listTab = 'arrivals';        // sidebar tab: 'arrivals', 'departures' or 'overflights'
+    let sequenceView = { active: false, minGap: SEQUENCE_MIN_GAP }; // arrivals as a sequence, see initSequence()
     let flights = [];
+    let polling = { timer: null, controller: null, failures: 0, retryAt: null, lastSuccess: null }; // see schedulePoll()
+    let dataSource = { id: 'opensky', endpoint: '' };
+    let recordingId = null;          // recording that live snapshots are stored into
+    let replay = null;               // active replay session, see startReplay()
+    let dbPromise = null;
+    let predictionLog = new Map();   // icao24 → predictions per distance bucket, see trackLandings()
+    let accuracyStats = null;        // per airport, see airportStats()
+    let aircraftDb = null;           // see initAircraftDb()
+    let airlines = null;
+    let squawkAlerts = { watched: {}, notify: false }; // see initAlerts()
+    let alertHistory = [];           // newest last, see recordAlert()
+    let activeAlerts = new Map();    // icao24 → code currently alerting
+    let kiosk = { airport: null, locked: false }; // fixed layout from the query string, see initKiosk()
+    let pendingSelection = null;     // icao24 from a link, selected once it shows up in the data
+    let hashTimer = null;
+    let noiseWatch = { locations: [], notify: false }; // see initNoiseWatch()
+    let noiseLayer = null;           // saved locations on the map
+    let pickingLocation = null;      // name of the location the next map click saves
+    let overheadNotified = new Set(); // `${location.id}:${icao24}` already notified
 
     // ========================
     // Map Setup
@@ -114,11 +150,15 @@
 
     function initMap() {
         map = L.map('map', {
-            center: [FRA.lat, FRA.lng],
+            center: [airport.reference.lat, airport.reference.lng],
             zoom: 10,
-            zoomControl: true,
+            zoomControl: !kiosk.locked,
             attributionControl: true,
         });
+        if (kiosk.locked) {
+            ['dragging', 'touchZoom', 'doubleClickZoom', 'scrollWheelZoom', 'boxZoom', 'keyboard'].forEach((handler) => map[handler].disable());
+        }
+        map.on('moveend', updateHash);
 
         // Map tiles — use light or dark based on current theme
         const theme = document.documentElement.getAttribute('data-theme') || 'dark';
@@ -127,6 +167,15 @@
 
         // Draw runways + airport marker (theme-aware)
         drawRunways();
+
+        // DOM or canvas aircraft markers
+        initCanvasMarkers();
+
+        // Noise watch locations, picked by clicking the map
+        initNoiseLocations();
+
+        // Centerlines, range rings and the polled area
+        initOverlays();
     }
 
     function getTheme() {
@@ -137,11 +186,11 @@
         // Clear existing runway layers
         runwayLayers.forEach(l => map.removeLayer(l));
         runwayLayers = [];
-        if (fraMarker) { map.removeLayer(fraMarker); fraMarker = null; }
+        if (airportMarker) { map.removeLayer(airportMarker); airportMarker = null; }
 
         const isLight = getTheme() === 'light';
 
-        RUNWAY_LINES.forEach((rwy) => {
+        airport.runwayLines.forEach((rwy) => {
             // Runway line colors adapt to theme
             const landingColor = isLight ? '#1e293b' : '#ffffff';
             const departColor = isLight ? '#94a3b8' : '#8892a4';
@@ -167,7 +216,7 @@
             const labelColor = isLight ? 'rgba(30,41,59,0.7)' : 'rgba(255,255,255,0.6)';
             const labelIcon = L.divIcon({
                 className: '',
-                html: `<div class="runway-label" style="color: ${labelColor};">${rwy.label}</div>`,
+                html: `<div class="runway-label" style="color: ${labelColor};">${escapeHtml(rwy.label)}</div>`,
                 iconSize: [80, 16],
                 iconAnchor: [40, 8],
             });
@@ -176,39 +225,193 @@
             runwayLayers.push(labelMarker);
         });
 
-        // FRA airport marker
-        const fraColor = isLight ? 'rgba(14, 116, 144, 0.9)' : 'rgba(6, 182, 212, 0.8)';
-        const fraBorder = isLight ? 'rgba(14, 116, 144, 0.4)' : 'rgba(6, 182, 212, 0.4)';
-        const fraGlow = isLight ? 'rgba(14, 116, 144, 0.3)' : 'rgba(6, 182, 212, 0.5)';
-        const fraIcon = L.divIcon({
+        // Airport reference point marker
+        const airportColor = isLight ? 'rgba(14, 116, 144, 0.9)' : 'rgba(6, 182, 212, 0.8)';
+        const airportBorder = isLight ? 'rgba(14, 116, 144, 0.4)' : 'rgba(6, 182, 212, 0.4)';
+        const airportGlow = isLight ? 'rgba(14, 116, 144, 0.3)' : 'rgba(6, 182, 212, 0.5)';
+        const airportIcon = L.divIcon({
             className: '',
             html: `<div style="
                 width: 10px; height: 10px;
-                background: ${fraColor};
-                border: 2px solid ${fraBorder};
+                background: ${airportColor};
+                border: 2px solid ${airportBorder};
                 border-radius: 50%;
-                box-shadow: 0 0 12px ${fraGlow};
+                box-shadow: 0 0 12px ${airportGlow};
             "></div>`,
             iconSize: [14, 14],
             iconAnchor: [7, 7],
         });
 
-        fraMarker = L.marker([FRA.lat, FRA.lng], { icon: fraIcon })
+        airportMarker = L.marker([airport.reference.lat, airport.reference.lng], { icon: airportIcon })
             .addTo(map)
-            .bindPopup('<div class="popup-title">Frankfurt Airport</div><div class="popup-row"><span class="popup-label">ICAO</span><span class="popup-value">EDDF</span></div>');
+            .bindPopup(`<div class="popup-title">${escapeHtml(airport.name)}</div><div class="popup-row"><span class="popup-label">ICAO</span><span class="popup-value">${escapeHtml(airport.icao)}</span></div>`);
+
+        // Overlays share the runways' theme colors
+        drawOverlays();
+    }
+
+    // ========================
+    // Map Overlays
+    // ========================
+
+    // Optional reference drawings toggled from the legend: extended
+    // centerlines and approach feathers for the landing runways of the
+    // active configuration, range rings around the airport, the radius
+    // arrivals are considered in and the area polled from OpenSky.
+
+    function drawOverlays() {
+        if (!map || !airport) return;
+        if (!overlayLayer) overlayLayer = L.layerGroup().addTo(map);
+        overlayLayer.clearLayers();
+        overlayConfig = activeConfig;
+
+        const isLight = getTheme() === 'light';
+        const lineColor = isLight ? 'rgba(30, 41, 59, 0.6)' : 'rgba(255, 255, 255, 0.45)';
+        const labelColor = isLight ? 'rgba(30, 41, 59, 0.7)' : 'rgba(255, 255, 255, 0.6)';
+        const add = (layer) => layer.addTo(overlayLayer);
+        const label = (latlng, text) => add(L.marker(latlng, {
+            icon: L.divIcon({
+                className: '',
+                html: `<div class="overlay-label" style="color: ${labelColor};">${escapeHtml(text)}</div>`,
+                iconSize: [60, 14],
+                iconAnchor: [30, 7],
+            }),
+            interactive: false,
+        }));
+        const toLatLng = (p) => [p.lat, p.lng];
+
+        const landing = activeConfig ? airport.configs[activeConfig].landing : [];
+        landing.forEach((name) => {
+            const rwy = airport.runways[name];
+            const { start } = runwayEnds(rwy);
+            const outbound = (rwy.heading + 180) % 360;
+            const out = (nm, offset = 0) => destinationPoint(start.lat, start.lng, (outbound + offset + 360) % 360, nm * 1.852);
+
+            if (overlays.centerlines) {
+                add(L.polyline([toLatLng(start), toLatLng(out(overlays.centerlineLength))], {
+                    color: rwy.color, weight: 1.5, opacity: 0.8, dashArray: '8, 6', interactive: false,
+                }));
+            }
+
+            if (overlays.feathers) {
+                add(L.polygon([toLatLng(start), toLatLng(out(FEATHER_LENGTH, -FEATHER_SPREAD)), toLatLng(out(FEATHER_LENGTH, FEATHER_SPREAD))], {
+                    color: rwy.color, weight: 1, opacity: 0.6, fillOpacity: 0.1, interactive: false,
+                }));
+                // A tick every NM, longer every 5
+                for (let nm = 1; nm <= FEATHER_LENGTH; nm++) {
+                    const c = out(nm);
+                    const half = nm % 5 === 0 ? 0.6 : 0.3;
+                    const a = destinationPoint(c.lat, c.lng, (outbound + 90) % 360, half);
+                    const b = destinationPoint(c.lat, c.lng, (outbound + 270) % 360, half);
+                    add(L.polyline([toLatLng(a), toLatLng(b)], { color: rwy.color, weight: 1.5, opacity: 0.8, interactive: false }));
+                    if (nm % 5 === 0) label(toLatLng(destinationPoint(c.lat, c.lng, (outbound + 90) % 360, 1.4)), `${nm} NM`);
+                }
+            }
+        });
+
+        const ref = airport.reference;
+        if (overlays.rings) {
+            for (let i = 1; i <= RANGE_RING_COUNT; i++) {
+                const nm = i * RANGE_RING_STEP;
+                add(L.circle([ref.lat, ref.lng], {
+                    radius: nm * 1852, color: lineColor, weight: 1, fill: false, interactive: false,
+                }));
+                label(toLatLng(destinationPoint(ref.lat, ref.lng, 0, nm * 1.852)), `${nm} NM`);
+            }
+        }
+
+        if (overlays.radius) {
+            add(L.circle([ref.lat, ref.lng], {
+                radius: ARRIVING_MAX_DIST * 1000, color: lineColor, weight: 1.5, dashArray: '2, 6', fill: false, interactive: false,
+            }));
+            label(toLatLng(destinationPoint(ref.lat, ref.lng, 180, ARRIVING_MAX_DIST)), `${ARRIVING_MAX_DIST} km`);
+        }
+
+        if (overlays.bbox) {
+            const { lamin, lomin, lamax, lomax } = airport.bbox;
+            add(L.rectangle([[lamin, lomin], [lamax, lomax]], {
+                color: lineColor, weight: 1, dashArray: '4, 4', fill: false, interactive: false,
+            }));
+        }
+    }
+
+    function initOverlays() {
+        try {
+            overlays = { ...overlays, ...JSON.parse(localStorage.getItem('fra-tracker-overlays')) };
+        } catch {
+            // ignore a corrupt entry
+        }
+        const save = () => {
+            localStorage.setItem('fra-tracker-overlays', JSON.stringify(overlays));
+            drawOverlays();
+        };
+
+        const panel = document.getElementById('map-overlays');
+        panel.querySelectorAll('[data-overlay]').forEach((input) => {
+            input.checked = overlays[input.dataset.overlay];
+            input.addEventListener('change', () => {
+                overlays[input.dataset.overlay] = input.checked;
+                save();
+            });
+        });
+
+        const length = document.getElementById('centerline-length');
+        length.value = overlays.centerlineLength;
+        length.addEventListener('change', () => {
+            const nm = Number(length.value);
+            if (nm >= Number(length.min) && nm <= Number(length.max)) overlays.centerlineLength = nm;
+            length.value = overlays.centerlineLength;
+            save();
+        });
+
+        drawOverlays();
     }
 
     // ========================
     // Aircraft Markers
     // ========================
 
-    function createAircraftSvg(color, heading) {
-        return `<svg width="24" height="24" viewBox="0 0 24 24" fill="${color}" style="transform: rotate(${heading || 0}deg);" xmlns="http://www.w3.org/2000/svg">
-      <path d="M12 2L14.5 9H21L15.5 13L17.5 21L12 17L6.5 21L8.5 13L3 9H9.5L12 2Z" opacity="0.9"/>
+    const NO_RUNWAY_COLOR = '#5b6478';
+
+    // Arrivals are drawn as a star, departures as an arrowhead
+    const ARRIVAL_PATH = 'M12 2L14.5 9H21L15.5 13L17.5 21L12 17L6.5 21L8.5 13L3 9H9.5L12 2Z';
+    const DEPARTURE_PATH = 'M12 2L20 21L12 16.5L4 21L12 2Z';
+
+    const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+    /**
+     * Text for markup and attribute values. Anything from a feed, a loaded
+     * file or the user goes through here before it reaches innerHTML.
+     */
+    function escapeHtml(value) {
+        return String(value ?? '').replace(/[&<>"']/g, (c) => HTML_ESCAPES[c]);
+    }
+
+    function createAircraftSvg(color, heading, departing = false, size = 24) {
+        return `<svg width="${size}" height="${size}" viewBox="0 0 24 24" fill="${color}" style="transform: rotate(${Number(heading) || 0}deg);" xmlns="http://www.w3.org/2000/svg">
+      <path d="${departing ? DEPARTURE_PATH : ARRIVAL_PATH}" opacity="0.9"/>
     </svg>`;
     }
 
+    /**
+     * The predicted landing runway of an arrival or take-off runway of a departure
+     */
+    function flightRunway(f) {
+        return f.isDeparting ? f.departureRunway : f.predictedRunway;
+    }
+
+    function flightColor(f) {
+        const rwy = flightRunway(f);
+        return rwy ? airport.runways[rwy]?.color || NO_RUNWAY_COLOR : NO_RUNWAY_COLOR;
+    }
+
+    function sectorLabel(sector) {
+        return sector ? sector[0].toUpperCase() + sector.slice(1) : '—';
+    }
+
     function updateAircraftOnMap(flightData) {
+        // Flights hidden by the filter lose their marker too
+        flightData = flightData.filter(isVisible);
         const currentIcaos = new Set(flightData.map((f) => f.icao24));
 
         // Remove markers for aircraft no longer present
@@ -219,531 +422,2924 @@
             }
         }
 
-        // Add or update markers
+        for (const icao of markerMotion.keys()) {
+            if (!currentIcaos.has(icao)) markerMotion.delete(icao);
+        }
+
+        for (const [icao, trail] of trailLayers) {
+            if (!currentIcaos.has(icao)) {
+                map.removeLayer(trail);
+                trailLayers.delete(icao);
+            }
+        }
+
+        // Add or update markers, touching only what changed so an open
+        // popup stays open
         flightData.forEach((f) => {
-            const color = f.predictedRunway ? RUNWAYS[f.predictedRunway]?.color || '#5b6478' : '#5b6478';
-
-            const icon = L.divIcon({
-                className: 'aircraft-marker-wrapper',
-                html: `<div style="position:relative;display:flex;flex-direction:column;align-items:center;pointer-events:auto;">
-                    <div class="aircraft-label">${f.callsign || f.icao24}</div>
-                    ${createAircraftSvg(color, f.heading)}
-                </div>`,
-                iconSize: [0, 0],
-                iconAnchor: [0, 0],
-            });
+            const color = flightColor(f);
 
-            if (aircraftMarkers.has(f.icao24)) {
-                const marker = aircraftMarkers.get(f.icao24);
-                marker.setLatLng([f.latitude, f.longitude]);
-                marker.setIcon(icon);
-            } else {
-                const marker = L.marker([f.latitude, f.longitude], { icon })
+            drawTrail(f, color);
+
+            if (canvasLayer) {
+                moveMarker(f, markerMotion.get(f.icao24)?.shown);
+                return;
+            }
+
+            const html = markerHtml(f, color);
+            let marker = aircraftMarkers.get(f.icao24);
+            if (!marker) {
+                marker = L.marker([f.latitude, f.longitude], { icon: markerIcon(html) })
                     .addTo(map)
+                    .bindPopup(() => createPopup(flights.find((x) => x.icao24 === f.icao24) || f))
                     .on('click', () => selectFlight(f.icao24));
-
                 aircraftMarkers.set(f.icao24, marker);
+                moveMarker(f, null);
+            } else {
+                if (renderedHtml.get(marker) !== html) marker.setIcon(markerIcon(html));
+                moveMarker(f, marker.getLatLng());
+                if (marker.isPopupOpen()) marker.getPopup().update();
             }
+            renderedHtml.set(marker, html);
+        });
+
+        if (canvasLayer) updateCanvasPopup();
+        updateCountdowns();
+    }
+
+    function markerHtml(f, color) {
+        return `<div class="${f.alert ? `aircraft-alert${f.alert.emergency ? ' emergency' : ''}` : ''}${staleClass(f)}" ${updatedAttr(f)} style="position:relative;display:flex;flex-direction:column;align-items:center;pointer-events:auto;">
+                    <div class="aircraft-label${f.isDeparting ? ' departure' : ''}">${escapeHtml(f.callsign || f.icao24)}${f.alert ? ` · ${escapeHtml(f.alert.code)}` : ''}${dataAge(f)}</div>
+                    ${f.goAround?.phase === 'missed' ? '<div class="go-around-badge">GO-AROUND</div>' : ''}
+                    ${f.alert ? '<div class="alert-ring"></div>' : ''}
+                    ${createAircraftSvg(color, f.heading, f.isDeparting)}
+                </div>`;
+    }
 
-            // Update popup
-            const marker = aircraftMarkers.get(f.icao24);
-            marker.bindPopup(createPopup(f));
+    function markerIcon(html) {
+        return L.divIcon({
+            className: 'aircraft-marker-wrapper',
+            html,
+            iconSize: [0, 0],
+            iconAnchor: [0, 0],
         });
     }
 
+    /**
+     * Draw the track history behind an aircraft as a polyline that fades
+     * out towards its oldest positions. Each leg is its own polyline so it
+     * can fade; on later polls the legs are moved rather than rebuilt.
+     */
+    function drawTrail(f, color) {
+        const points = f.track || [];
+        let trail = trailLayers.get(f.icao24);
+        if (points.length < 2) {
+            if (trail) {
+                map.removeLayer(trail);
+                trailLayers.delete(f.icao24);
+            }
+            return;
+        }
+
+        if (!trail) {
+            trail = L.layerGroup().addTo(map);
+            trailLayers.set(f.icao24, trail);
+        }
+
+        const legs = trail.getLayers();
+        for (let i = 1; i < points.length; i++) {
+            const latlngs = [
+                [points[i - 1].lat, points[i - 1].lng],
+                [points[i].lat, points[i].lng],
+            ];
+            const age = i / (points.length - 1); // 0 = oldest, 1 = newest
+            const style = { color, opacity: 0.05 + age * 0.55 };
+
+            const leg = legs[i - 1];
+            if (leg) {
+                leg.setLatLngs(latlngs).setStyle(style);
+            } else {
+                L.polyline(latlngs, { ...style, weight: 2, interactive: false }).addTo(trail);
+            }
+        }
+        legs.slice(points.length - 1).forEach((leg) => trail.removeLayer(leg));
+    }
+
     function createPopup(f) {
         const alt = f.baroAltitude != null ? `${Math.round(f.baroAltitude)}m (${Math.round(f.baroAltitude * 3.281)}ft)` : '—';
         const spd = f.velocity != null ? `${Math.round(f.velocity * 1.944)}kts` : '—';
         const vr = f.verticalRate != null ? `${f.verticalRate > 0 ? '+' : ''}${Math.round(f.verticalRate * 196.85)}ft/min` : '—';
         const dist = f.distanceToAirport != null ? `${f.distanceToAirport.toFixed(1)}km` : '—';
-        const rwy = f.predictedRunway || '—';
-        const conf = f.confidence != null ? `${Math.round(f.confidence * 100)}%` : '—';
+        const rwy = flightRunway(f) || '—';
+        const confidence = f.isDeparting ? f.departureConfidence : f.confidence;
+        const conf = rwy !== '—' && confidence != null ? `${Math.round(confidence * 100)}%` : '—';
+        const remaining = f.remainingDistance != null ? `${f.remainingDistance.toFixed(1)}km` : '—';
+        const eta = f.eta != null ? new Date(f.eta * 1000).toLocaleTimeString() : '—';
+
+        const aircraft = [f.aircraftType, f.registration].filter(Boolean).join(' · ') || '—';
+        const operator = f.airline || f.operator || '—';
+        const wake = f.wake ? WAKE_LABELS[f.wake] || f.wake : '—';
 
         return `
-      <div class="popup-title">${f.callsign || f.icao24}</div>
+      <div class="popup-title">${escapeHtml(f.callsign || f.icao24)}</div>
+      ${f.alert ? `<div class="popup-row popup-alert"><span class="popup-label">Squawk ${escapeHtml(f.alert.code)}</span><span class="popup-value">${escapeHtml(f.alert.label)}</span></div>` : ''}
+      <div class="popup-row"><span class="popup-label">Aircraft</span><span class="popup-value">${escapeHtml(aircraft)}</span></div>
+      <div class="popup-row"><span class="popup-label">Operator</span><span class="popup-value">${escapeHtml(operator)}</span></div>
+      <div class="popup-row"><span class="popup-label">Wake</span><span class="popup-value">${escapeHtml(wake)}</span></div>
       <div class="popup-row"><span class="popup-label">Altitude</span><span class="popup-value">${alt}</span></div>
       <div class="popup-row"><span class="popup-label">Speed</span><span class="popup-value">${spd}</span></div>
       <div class="popup-row"><span class="popup-label">Vert. Rate</span><span class="popup-value">${vr}</span></div>
       <div class="popup-row"><span class="popup-label">Distance</span><span class="popup-value">${dist}</span></div>
-      <div class="popup-row"><span class="popup-label">Pred. Runway</span><span class="popup-value" style="color: ${RUNWAYS[rwy]?.color || 'inherit'}">${rwy}</span></div>
+      <div class="popup-row"><span class="popup-label">${f.isDeparting ? 'Dep. Runway' : 'Pred. Runway'}</span><span class="popup-value" style="color: ${airport.runways[rwy]?.color || 'inherit'}">${rwy}</span></div>
       <div class="popup-row"><span class="popup-label">Confidence</span><span class="popup-value">${conf}</span></div>
+      ${popupRules(f.rules)}
+      ${f.goAround ? `<div class="popup-row"><span class="popup-label">Go-around</span><span class="popup-value">${goAroundLabel(f.goAround)}</span></div>` : ''}
+      ${f.holding ? `<div class="popup-row"><span class="popup-label">Holding</span><span class="popup-value">${holdingLabel(f)}</span></div>` : ''}
+      ${f.isDeparting ? `
+      <div class="popup-row"><span class="popup-label">Outbound</span><span class="popup-value">${sectorLabel(f.outboundSector)}</span></div>
+      ` : `
+      <div class="popup-row"><span class="popup-label">Glide Path</span><span class="popup-value${f.glidepath?.flag ? ' glidepath-off' : ''}">${glidepathLabel(f.glidepath)}</span></div>
+      <div class="popup-row"><span class="popup-label">Time to Rwy</span><span class="popup-value">${etaCountdown(f)}</span></div>
+      <div class="popup-row"><span class="popup-label">Track to Rwy</span><span class="popup-value">${remaining}</span></div>
+      <div class="popup-row"><span class="popup-label">ETA</span><span class="popup-value">${eta}</span></div>
+      `}
     `;
     }
 
-    // ========================
-    // Runway Prediction Engine
-    // ========================
+    function glidepathLabel(glidepath) {
+        if (!glidepath) return '—';
+        const ft = Math.round(glidepath.deviation * 3.281);
+        const flag = glidepath.flag ? ` · ${glidepath.flag}` : '';
+        return `${ft > 0 ? '+' : ''}${ft}ft (${glidepath.angle.toFixed(1)}°)${flag}`;
+    }
+
+    function goAroundLabel(goAround) {
+        const label = `${goAround.runway} at ${new Date(goAround.time * 1000).toLocaleTimeString()}`;
+        const repeat = goAround.count > 1 ? ` (${goAround.count}×)` : '';
+        return goAround.phase === 'missed' ? `${label}${repeat}` : `${label}${repeat}, back on approach`;
+    }
 
-    function toRad(deg) { return (deg * Math.PI) / 180; }
-    function toDeg(rad) { return (rad * 180) / Math.PI; }
+    const RULE_VERBS = { closed: 'excluded', avoid: 'down-weighted', prefer: 'preferred' };
 
     /**
-     * Haversine distance between two lat/lng points in km
+     * The operational rules behind a prediction, see applyRules()
      */
-    function haversine(lat1, lon1, lat2, lon2) {
-        const R = 6371;
-        const dLat = toRad(lat2 - lat1);
-        const dLon = toRad(lon2 - lon1);
-        const a =
-            Math.sin(dLat / 2) ** 2 +
-            Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLon / 2) ** 2;
-        return R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+    function popupRules(rules) {
+        if (!rules || rules.length === 0) return '';
+        return `
+      <div class="popup-rules">
+        ${rules.map((r) => `
+        <div class="popup-rule ${r.effect}">
+          <span class="popup-rule-effect">${escapeHtml(r.runway)} ${RULE_VERBS[r.effect]}</span>
+          ${escapeHtml(r.description)}
+        </div>`).join('')}
+      </div>`;
     }
 
     /**
-     * Calculate bearing from point 1 to point 2 in degrees
+     * Time to touchdown — filled in and kept ticking by updateCountdowns(),
+     * so the markup itself does not change from second to second
      */
-    function bearing(lat1, lon1, lat2, lon2) {
-        const dLon = toRad(lon2 - lon1);
-        const y = Math.sin(dLon) * Math.cos(toRad(lat2));
-        const x =
-            Math.cos(toRad(lat1)) * Math.sin(toRad(lat2)) -
-            Math.sin(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.cos(dLon);
-        return ((toDeg(Math.atan2(y, x)) % 360) + 360) % 360;
+    function etaCountdown(f) {
+        if (f.eta == null) return '—';
+        return `<span class="eta-countdown" data-eta="${escapeHtml(f.eta)}"></span>`;
     }
 
-    /**
-     * Cross-track distance: perpendicular distance from a point to a great circle
-     * defined by two points (the runway centerline extended).
-     * Returns distance in km.
-     */
-    function crossTrackDistance(pointLat, pointLon, lineLat1, lineLon1, lineLat2, lineLon2) {
-        const R = 6371;
-        const d13 = haversine(lineLat1, lineLon1, pointLat, pointLon) / R; // angular dist
-        const brng13 = toRad(bearing(lineLat1, lineLon1, pointLat, pointLon));
-        const brng12 = toRad(bearing(lineLat1, lineLon1, lineLat2, lineLon2));
-        return Math.abs(Math.asin(Math.sin(d13) * Math.sin(brng13 - brng12))) * R;
+    function formatCountdown(seconds) {
+        if (seconds <= 0) return 'now';
+        const s = Math.round(seconds);
+        return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, '0')}`;
     }
 
-    /**
-     * Normalize angle difference to [-180, 180]
-     */
-    function angleDiff(a, b) {
-        let diff = ((a - b + 180) % 360) - 180;
-        if (diff < -180) diff += 360;
-        return diff;
+    function updateCountdowns() {
+        const now = clockNow();
+        document.querySelectorAll('.eta-countdown').forEach((el) => {
+            el.textContent = formatCountdown(Number(el.dataset.eta) - now);
+        });
+
+        // Markers and cards of flights that stopped reporting
+        document.querySelectorAll('[data-updated]').forEach((el) => {
+            const age = now - Number(el.dataset.updated);
+            el.classList.toggle('stale', age > STALE_AGE);
+            const label = el.querySelector('.data-age');
+            if (label) label.textContent = formatAge(age);
+        });
+    }
+
+    function flightAge(f) {
+        return f.lastUpdate != null ? clockNow() - f.lastUpdate : 0;
+    }
+
+    function staleClass(f) {
+        return flightAge(f) > STALE_AGE ? ' stale' : '';
+    }
+
+    function updatedAttr(f) {
+        return f.lastUpdate != null ? `data-updated="${escapeHtml(f.lastUpdate)}"` : '';
     }
 
     /**
-     * Detect active runway configuration from aircraft headings
+     * Age of the flight's last update, shown only while it is stale and
+     * filled in by updateCountdowns()
      */
-    function detectConfiguration(flights) {
-        // Look at aircraft that are low, descending, and close
-        const candidates = flights.filter(
-            (f) =>
-                f.baroAltitude != null &&
-                f.baroAltitude < ARRIVING_MAX_ALT &&
-                f.heading != null &&
-                f.verticalRate != null &&
-                f.verticalRate < -1 &&
-                f.distanceToAirport < ARRIVING_MAX_DIST
-        );
+    function dataAge(f) {
+        return f.lastUpdate != null ? '<span class="data-age"></span>' : '';
+    }
 
-        if (candidates.length === 0) {
-            // Default to westerly (most common ~75% of the time)
-            return 'westerly';
-        }
+    function formatAge(seconds) {
+        const s = Math.max(0, Math.round(seconds));
+        if (s < 90) return `${s}s`;
+        if (s < 5400) return `${Math.round(s / 60)}m`;
+        return `${Math.round(s / 3600)}h`;
+    }
 
-        let westerlyVotes = 0;
-        let easterlyVotes = 0;
+    /**
+     * Current time in unix seconds — the replay clock while replaying
+     */
+    function clockNow() {
+        return replay ? replay.time : Date.now() / 1000;
+    }
 
-        candidates.forEach((f) => {
-            const diffWest = Math.abs(angleDiff(f.heading, 250));
-            const diffEast = Math.abs(angleDiff(f.heading, 70));
+    // ========================
+    // Marker Animation
+    // ========================
 
-            if (diffWest < 40) westerlyVotes++;
-            if (diffEast < 40) easterlyVotes++;
-        });
+    // Between polls markers fly on from their last fix (see the engine's
+    // deadReckon()), for at most DEAD_RECKONING_MAX seconds so aircraft that
+    // stopped reporting don't drift off. A new fix is not jumped to: the
+    // gap between where the marker was shown and where the new fix puts it
+    // closes over BLEND_DURATION.
 
-        return westerlyVotes >= easterlyVotes ? 'westerly' : 'easterly';
+    function reckonedPosition(f) {
+        const age = f.lastUpdate != null ? clockNow() - f.lastUpdate : 0;
+        return deadReckon(f, Math.min(age, DEAD_RECKONING_MAX));
     }
 
     /**
-     * Determine if a flight is likely DEPARTING (vs arriving or overflying)
-     * Returns true if the flight appears to be a departure
+     * Hand a new fix to the animation; `shown` is where the marker is now
      */
-    function isDeparting(flight) {
-        if (flight.distanceToAirport == null || flight.baroAltitude == null) return false;
+    function moveMarker(f, shown) {
+        const target = reckonedPosition(f);
+        markerMotion.set(f.icao24, {
+            flight: f,
+            offset: shown ? { lat: shown.lat - target.lat, lng: shown.lng - target.lng } : null,
+            since: performance.now(),
+            shown: shown || { lat: target.lat, lng: target.lng },
+        });
+        if (!shown) aircraftMarkers.get(f.icao24)?.setLatLng([target.lat, target.lng]);
+    }
 
-        // 1. Aircraft close to airport and climbing = departing
-        if (flight.distanceToAirport < 30 &&
-            flight.verticalRate != null && flight.verticalRate > 2) {
-            return true;
+    function animateMarkers() {
+        const now = performance.now();
+        for (const [icao, motion] of markerMotion) {
+            const { lat, lng } = reckonedPosition(motion.flight);
+            const remaining = motion.offset ? Math.max(0, 1 - (now - motion.since) / BLEND_DURATION) : 0;
+            if (remaining === 0) motion.offset = null;
+            motion.shown = {
+                lat: lat + (motion.offset?.lat || 0) * remaining,
+                lng: lng + (motion.offset?.lng || 0) * remaining,
+            };
+            aircraftMarkers.get(icao)?.setLatLng([motion.shown.lat, motion.shown.lng]);
         }
+        if (canvasLayer) canvasLayer.redraw();
+        requestAnimationFrame(animateMarkers);
+    }
 
-        // 2. Very low altitude, very close, and climbing = definitely departing
-        if (flight.distanceToAirport < 15 &&
-            flight.baroAltitude < 1500 &&
-            flight.verticalRate != null && flight.verticalRate > 0.5) {
-            return true;
-        }
+    // ========================
+    // Canvas Markers
+    // ========================
+
+    // With hundreds of aircraft in the box the DOM markers get sluggish, so
+    // they can be swapped for one canvas redrawn on every animation frame.
+    // Clicks on the map are matched to the nearest aircraft drawn.
+
+    const CanvasMarkerLayer = L.Layer.extend({
+        onAdd(map) {
+            this._canvas = L.DomUtil.create('canvas', 'aircraft-canvas leaflet-zoom-hide');
+            map.getPanes().overlayPane.appendChild(this._canvas);
+            this._drawn = [];
+        },
 
-        // 3. Close to airport, low, and heading aligned with DEPARTURE runways
-        //    (07C/25C heading ~69/249° or 18/36 heading ~180/360°)
-        if (flight.distanceToAirport < 25 &&
-            flight.baroAltitude < 2000 &&
-            flight.heading != null) {
-            // Check alignment with departure runway 18/36 (N-S: ~180° or ~360°)
-            const diffNS1 = Math.abs(angleDiff(flight.heading, 180));
-            const diffNS2 = Math.abs(angleDiff(flight.heading, 360));
-            if ((diffNS1 < 25 || diffNS2 < 25) && flight.verticalRate != null && flight.verticalRate > 0) {
-                return true;
+        onRemove() {
+            L.DomUtil.remove(this._canvas);
+        },
+
+        /**
+         * Draw every aircraft at its animated position, see animateMarkers()
+         */
+        redraw() {
+            const ctx = this._canvas.getContext('2d');
+            if (!ctx) return;
+
+            const size = this._map.getSize();
+            const ratio = window.devicePixelRatio || 1;
+            if (this._canvas.width !== size.x * ratio || this._canvas.height !== size.y * ratio) {
+                this._canvas.width = size.x * ratio;
+                this._canvas.height = size.y * ratio;
+                this._canvas.style.width = `${size.x}px`;
+                this._canvas.style.height = `${size.y}px`;
             }
+            // Keep the canvas over the viewport while the map pans
+            L.DomUtil.setPosition(this._canvas, this._map.containerPointToLayerPoint([0, 0]));
+            ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+            ctx.clearRect(0, 0, size.x, size.y);
+
+            const labelColor = getComputedStyle(document.documentElement).getPropertyValue('--text-secondary');
+            this._drawn = [];
+            for (const [icao, motion] of markerMotion) {
+                const p = this._map.latLngToContainerPoint([motion.shown.lat, motion.shown.lng]);
+                if (p.x < -20 || p.y < -20 || p.x > size.x + 20 || p.y > size.y + 20) continue;
+                this._drawn.push({ icao, p });
+                drawCanvasAircraft(ctx, motion.flight, p, labelColor);
+            }
+        },
+
+        /**
+         * The aircraft drawn closest to a container point, if close enough
+         */
+        hit(point) {
+            let best = null;
+            this._drawn.forEach(({ icao, p }) => {
+                const d = point.distanceTo(p);
+                if (d < CANVAS_HIT_RADIUS && (!best || d < best.d)) best = { icao, d };
+            });
+            return best?.icao || null;
+        },
+    });
+
+    function drawCanvasAircraft(ctx, f, p, labelColor) {
+        ctx.save();
+        ctx.globalAlpha = flightAge(f) > STALE_AGE ? 0.45 : 1;
+        ctx.translate(p.x, p.y);
+
+        if (f.alert) {
+            ctx.beginPath();
+            ctx.arc(0, 0, 13, 0, 2 * Math.PI);
+            ctx.strokeStyle = f.alert.emergency ? '#ef4444' : '#f59e0b';
+            ctx.lineWidth = 2;
+            ctx.stroke();
         }
 
-        // 4. Check if aircraft is moving AWAY from airport at low altitude
-        //    Bearing from airport to aircraft vs aircraft heading should be similar
-        //    (within ~40°) if departing
-        if (flight.distanceToAirport < 40 &&
-            flight.baroAltitude < 3000 &&
-            flight.heading != null &&
-            flight.verticalRate != null && flight.verticalRate > 1) {
-            const bearingToAircraft = bearing(FRA.lat, FRA.lng, flight.latitude, flight.longitude);
-            const diff = Math.abs(angleDiff(flight.heading, bearingToAircraft));
-            // If heading roughly matches bearing FROM airport → moving away = departing
-            if (diff < 40) {
-                return true;
-            }
+        ctx.font = '10px ui-monospace, monospace';
+        ctx.textAlign = 'center';
+        ctx.fillStyle = labelColor;
+        ctx.fillText(`${f.callsign || f.icao24}${f.alert ? ` · ${f.alert.code}` : ''}`, 0, -14);
+
+        // Same glyphs as the DOM markers, see createAircraftSvg()
+        ctx.rotate(((f.heading || 0) * Math.PI) / 180);
+        ctx.scale(0.75, 0.75);
+        ctx.translate(-12, -12);
+        const glyph = new Path2D(f.isDeparting ? DEPARTURE_PATH : ARRIVAL_PATH);
+        ctx.fillStyle = flightColor(f);
+        ctx.fill(glyph);
+        if (f.icao24 === selectedIcao) {
+            ctx.strokeStyle = labelColor;
+            ctx.lineWidth = 2;
+            ctx.stroke(glyph);
         }
+        ctx.restore();
+    }
 
-        return false;
+    function openCanvasPopup(f) {
+        canvasPopup = L.popup({ offset: [0, -10] })
+            .setLatLng([f.latitude, f.longitude])
+            .setContent(createPopup(f))
+            .openOn(map);
+        canvasPopup.icao24 = f.icao24;
     }
 
     /**
-     * Determine if a flight looks like it is arriving at FRA
+     * Keep the open canvas popup on its aircraft and up to date
      */
-    function isArriving(flight) {
-        if (flight.baroAltitude == null || flight.heading == null) return false;
-        if (flight.distanceToAirport > ARRIVING_MAX_DIST) return false;
-        if (flight.baroAltitude > ARRIVING_MAX_ALT) return false;
+    function updateCanvasPopup() {
+        if (!canvasPopup || !map.hasLayer(canvasPopup)) return;
+        const f = flights.find((x) => x.icao24 === canvasPopup.icao24);
+        if (!f || !markerMotion.has(f.icao24)) {
+            map.closePopup(canvasPopup);
+            return;
+        }
+        canvasPopup.setLatLng([f.latitude, f.longitude]).setContent(createPopup(f));
+    }
 
-        // Must NOT be identified as departing
-        if (isDeparting(flight)) return false;
+    /**
+     * Switch between DOM markers and the canvas layer
+     */
+    function setCanvasMarkers(enabled) {
+        aircraftMarkers.forEach((marker) => map.removeLayer(marker));
+        aircraftMarkers.clear();
+        if (canvasLayer) map.removeLayer(canvasLayer);
+        if (canvasPopup) map.closePopup(canvasPopup);
+
+        canvasLayer = enabled ? new CanvasMarkerLayer().addTo(map) : null;
+        updateAircraftOnMap(flights);
+    }
 
-        // Must be descending or at least level (not significantly climbing)
-        if (flight.verticalRate != null && flight.verticalRate > 3) return false;
+    function initCanvasMarkers() {
+        const input = document.getElementById('canvas-markers');
+        input.checked = localStorage.getItem('fra-tracker-canvas-markers') === 'true';
+        if (input.checked) setCanvasMarkers(true);
+        input.addEventListener('change', () => {
+            localStorage.setItem('fra-tracker-canvas-markers', input.checked);
+            setCanvasMarkers(input.checked);
+        });
 
-        // Heading should be roughly aligned with one of the landing runway headings
-        const diffWest = Math.abs(angleDiff(flight.heading, 249));
-        const diffEast = Math.abs(angleDiff(flight.heading, 69));
-        if (diffWest > 50 && diffEast > 50) return false;
+        map.on('click', (e) => {
+            if (pickingLocation) return;
+            const icao = canvasLayer?.hit(e.containerPoint);
+            if (icao) selectFlight(icao);
+        });
+        map.on('popupopen', updateCountdowns);
+    }
 
-        // Aircraft should be approaching (bearing TO airport from aircraft
-        // should be roughly aligned with aircraft heading)
-        if (flight.distanceToAirport > 5) {
-            const bearingToAirport = bearing(flight.latitude, flight.longitude, FRA.lat, FRA.lng);
-            const approachDiff = Math.abs(angleDiff(flight.heading, bearingToAirport));
-            if (approachDiff > 70) return false;
-        }
+    // ========================
+    // Wind (METAR)
+    // ========================
 
-        return true;
+    /**
+     * The METAR wind if it belongs to the active airport
+     */
+    function currentWind() {
+        if (!metar || !airport) return null;
+        if (metar.station && metar.station !== airport.icao) return null;
+        return metar;
     }
 
     /**
-     * Predict runway for a single flight
+     * (Re)load the METAR from the pasted text or URL. URLs may contain
+     * {icao} and may return plain text or aviationweather.gov-style JSON.
      */
-    function predictRunway(flight, config) {
-        const activeRunways = CONFIGS[config];
+    async function updateMetar() {
+        metarError = null;
+
+        if (!metarSource) {
+            metar = null;
+        } else if (/^https?:\/\//i.test(metarSource)) {
+            if (!airport) return;
+            try {
+                const res = await fetch(metarSource.replace('{icao}', airport.icao));
+                if (!res.ok) throw new Error(`HTTP ${res.status}`);
+                let text = await res.text();
+                try {
+                    const json = JSON.parse(text);
+                    const entry = Array.isArray(json) ? json[0] : json;
+                    text = entry ? entry.rawOb || entry.raw_text || '' : '';
+                } catch {
+                    // plain text response
+                }
+                metar = parseMetar(text);
+                if (!metar) throw new Error('no wind group in response');
+            } catch (err) {
+                console.error('METAR error:', err);
+                metarError = `METAR fetch failed: ${err.message}`;
+            }
+        } else {
+            metar = parseMetar(metarSource);
+            if (!metar) metarError = 'No wind group found in METAR';
+        }
 
-        // Only predict for aircraft classified as arriving
-        if (!flight.isArriving) {
-            return { runway: null, confidence: 0 };
+        if (metar && airport && metar.station && metar.station !== airport.icao) {
+            metarError = `METAR is for ${metar.station}, not ${airport.icao} — ignored`;
         }
 
-        const rwyHeading = RUNWAYS[activeRunways[0]].heading;
-        const headingDiff = Math.abs(angleDiff(flight.heading, rwyHeading));
+        refreshDisplay();
+    }
+
+    function initMetar() {
+        metarSource = localStorage.getItem('fra-tracker-metar') || '';
 
-        let bestRunway = null;
-        let bestScore = Infinity;
-        let scores = {};
+        const input = document.getElementById('metar-input');
+        input.value = metarSource;
+        input.addEventListener('change', () => {
+            metarSource = input.value.trim();
+            localStorage.setItem('fra-tracker-metar', metarSource);
+            updateMetar();
+        });
 
-        activeRunways.forEach((rwyName) => {
-            const rwy = RUNWAYS[rwyName];
+        document.getElementById('config-badge').addEventListener('click', (e) => {
+            if (e.target.closest('#config-details')) return;
+            const details = document.getElementById('config-details');
+            details.hidden = !details.hidden;
+        });
 
-            // 1. Cross-track distance to extended centerline
-            const xtd = crossTrackDistance(
-                flight.latitude, flight.longitude,
-                rwy.threshold.lat, rwy.threshold.lng,
-                rwy.opposite.lat, rwy.opposite.lng
-            );
+        setInterval(() => {
+            if (/^https?:\/\//i.test(metarSource)) updateMetar();
+        }, METAR_REFRESH);
+    }
 
-            // 2. Heading alignment penalty
-            const headingPenalty = Math.abs(angleDiff(flight.heading, rwy.heading)) / 180;
+    // ========================
+    // Configuration Changes
+    // ========================
 
-            // Combined score (lower is better)
-            const score = xtd + headingPenalty * 5;
-            scores[rwyName] = score;
+    // The configuration shown is smoothed by the engine's updateConfigState();
+    // every confirmed change is kept per airport for the timeline in the
+    // configuration details and can raise a browser notification.
 
-            if (score < bestScore) {
-                bestScore = score;
-                bestRunway = rwyName;
+    /**
+     * Confirmed changes of the active airport, oldest first, persisted in
+     * localStorage per airport
+     */
+    function airportConfigEvents() {
+        if (!configEvents) {
+            try {
+                configEvents = JSON.parse(localStorage.getItem('fra-tracker-config-events')) || {};
+            } catch {
+                configEvents = {};
             }
-        });
+        }
+        return (configEvents[airport.icao] ||= []);
+    }
 
-        // Confidence: based on how much better the best is vs the other
-        const scoreValues = Object.values(scores);
-        const otherScore = scoreValues.find((s) => s !== bestScore) || bestScore;
-        const separation = otherScore - bestScore;
+    function recordConfigChange(change) {
+        const events = airportConfigEvents();
+        events.push(change);
+        events.splice(0, events.length - CONFIG_EVENTS_MAX);
+        localStorage.setItem('fra-tracker-config-events', JSON.stringify(configEvents));
 
-        // Higher separation → higher confidence
-        let confidence = Math.min(1, 0.5 + separation * 0.5);
+        renderConfigEvents();
+        notifyConfigChange(change);
+    }
 
-        // Boost confidence if aircraft is very close and well aligned
-        if (flight.distanceToAirport < 20 && headingDiff < 10) {
-            confidence = Math.min(1, confidence + 0.2);
-        }
+    function configLabel(name) {
+        const cfg = airport.configs[name];
+        return cfg ? `${cfg.label} (${cfg.landing.join('/')})` : name;
+    }
 
-        // Reduce confidence if aircraft is far away
-        if (flight.distanceToAirport > 50) {
-            confidence *= 0.6;
-        } else if (flight.distanceToAirport > 30) {
-            confidence *= 0.8;
-        }
+    function notifyConfigChange(change) {
+        if (!configTracking.notify || !('Notification' in window) || Notification.permission !== 'granted') return;
+        new Notification(`${airport.iata}: ${configLabel(change.to)}`, {
+            body: `Runway direction changed from ${configLabel(change.from)}\n${change.reasons.join('\n')}`,
+            tag: 'fra-tracker-config',
+        });
+    }
+
+    function renderConfigEvents() {
+        const list = document.getElementById('config-events');
+        if (!airport) return;
+
+        const events = airportConfigEvents();
+        list.innerHTML = events.length
+            ? events
+                .slice()
+                .reverse()
+                .map((e) => `
+          <li title="${escapeHtml(e.reasons.join('\n'))}">
+            <span class="config-event-time">${new Date(e.time * 1000).toLocaleString()}</span>
+            ${escapeHtml(configLabel(e.from))} → ${escapeHtml(configLabel(e.to))}
+          </li>`)
+                .join('')
+            : '<li>No direction changes observed yet</li>';
+    }
 
-        // Boost if descending
-        if (flight.verticalRate != null && flight.verticalRate < -2) {
-            confidence = Math.min(1, confidence + 0.1);
+    function initConfigTracking() {
+        try {
+            configTracking = { ...configTracking, ...JSON.parse(localStorage.getItem('fra-tracker-config-tracking')) };
+        } catch {
+            // ignore a corrupt entry
         }
+        const save = () => localStorage.setItem('fra-tracker-config-tracking', JSON.stringify(configTracking));
+
+        const hysteresisInput = document.getElementById('hysteresis-input');
+        hysteresisInput.value = configTracking.hysteresis / 60;
+        hysteresisInput.addEventListener('change', () => {
+            const minutes = Number(hysteresisInput.value);
+            configTracking.hysteresis = Number.isFinite(minutes) && minutes >= 0 ? minutes * 60 : CONFIG_HYSTERESIS;
+            hysteresisInput.value = configTracking.hysteresis / 60;
+            save();
+        });
 
-        return { runway: bestRunway, confidence };
+        const notifyInput = document.getElementById('config-notify');
+        const supported = 'Notification' in window;
+        notifyInput.disabled = !supported;
+        notifyInput.checked = supported && configTracking.notify && Notification.permission === 'granted';
+        notifyInput.addEventListener('change', async () => {
+            configTracking.notify = notifyInput.checked;
+            if (configTracking.notify && Notification.permission !== 'granted') {
+                configTracking.notify = (await Notification.requestPermission()) === 'granted';
+                notifyInput.checked = configTracking.notify;
+            }
+            save();
+        });
     }
 
+    // ========================
+    // Squawk Alerts
+    // ========================
+
+    // Flights squawking an emergency code (see the engine's squawkAlert())
+    // or one of the user's watched codes are flagged on the map, pinned in
+    // the sidebar and announced in the banner. Each alert is logged to the
+    // history and can raise a browser notification once, when it first shows.
+
     /**
-     * Run prediction on all flights
+     * Flag the current flights and log the alerts that just appeared
      */
-    function runPredictions(flights) {
-        // Add distance to airport and classify each flight
+    function updateAlerts() {
+        const current = new Map();
         flights.forEach((f) => {
-            f.distanceToAirport = haversine(f.latitude, f.longitude, FRA.lat, FRA.lng);
-            f.isDeparting = isDeparting(f);
-            f.isArriving = isArriving(f);
+            f.alert = squawkAlert(f, squawkAlerts.watched);
+            if (!f.alert) return;
+            current.set(f.icao24, f.alert.code);
+            // Alerts seen while replaying were logged when they happened
+            if (activeAlerts.get(f.icao24) !== f.alert.code && !replay) recordAlert(f);
         });
+        activeAlerts = current;
+        renderAlertBanner();
+    }
 
-        // Detect active configuration (only from arriving aircraft)
-        activeConfig = detectConfiguration(flights.filter(f => f.isArriving || !f.isDeparting));
+    function recordAlert(f) {
+        const entry = {
+            time: clockNow(),
+            airport: airport.icao,
+            icao24: f.icao24,
+            callsign: f.callsign || null,
+            code: f.alert.code,
+            label: f.alert.label,
+        };
+        alertHistory.push(entry);
+        alertHistory.splice(0, alertHistory.length - ALERT_HISTORY_MAX);
+        localStorage.setItem('fra-tracker-alerts', JSON.stringify(alertHistory));
+
+        renderAlertHistory();
+        notifyAlert(entry);
+    }
 
-        // Predict for each flight
-        flights.forEach((f) => {
-            const prediction = predictRunway(f, activeConfig);
-            f.predictedRunway = prediction.runway;
-            f.confidence = prediction.confidence;
+    function notifyAlert(entry) {
+        if (!squawkAlerts.notify || !('Notification' in window) || Notification.permission !== 'granted') return;
+        new Notification(`${entry.callsign || entry.icao24} squawking ${entry.code}`, {
+            body: `${entry.label} — near ${airport.iata}`,
+            tag: `fra-tracker-alert-${entry.icao24}`,
+            requireInteraction: true,
         });
+    }
 
-        return flights;
+    function renderAlertBanner() {
+        const banner = document.getElementById('alert-banner');
+        const alerting = flights.filter((f) => f.alert).sort((a, b) => b.alert.emergency - a.alert.emergency);
+
+        banner.hidden = alerting.length === 0;
+        banner.classList.toggle('emergency', alerting.some((f) => f.alert.emergency));
+        banner.innerHTML = alerting
+            .map((f) => `
+          <button class="alert-item" data-icao="${escapeHtml(f.icao24)}">
+            <strong>${escapeHtml(f.callsign || f.icao24)}</strong> squawking ${escapeHtml(f.alert.code)} — ${escapeHtml(f.alert.label)}
+          </button>`)
+            .join('');
     }
 
-    // ========================
-    // Flight List (Sidebar)
-    // ========================
+    function renderAlertHistory() {
+        const list = document.getElementById('alert-history');
+        list.innerHTML = alertHistory.length
+            ? alertHistory
+                .slice()
+                .reverse()
+                .map((e) => `
+          <li>
+            <span class="config-event-time">${new Date(e.time * 1000).toLocaleString()} · ${e.airport}</span>
+            <span class="squawk-badge">${escapeHtml(e.code)}</span> ${escapeHtml(e.callsign || e.icao24)} — ${escapeHtml(e.label)}
+          </li>`)
+                .join('')
+            : '<li>No alerts yet</li>';
+    }
 
-    function renderFlightList(flights) {
-        const container = document.getElementById('flight-list');
-        const countEl = document.getElementById('flight-count');
-
-        // Filter to arriving flights (those with predictions or close+descending)
-        let arriving = flights.filter(
-            (f) =>
-                f.predictedRunway ||
-                (f.distanceToAirport < ARRIVING_MAX_DIST &&
-                    f.baroAltitude != null &&
-                    f.baroAltitude < ARRIVING_MAX_ALT)
-        );
+    function renderWatchedSquawks() {
+        const list = document.getElementById('squawk-watch');
+        const codes = Object.keys(squawkAlerts.watched).sort();
+        list.innerHTML = codes.length
+            ? codes
+                .map((code) => `
+          <li>
+            <span class="squawk-badge">${escapeHtml(code)}</span> ${escapeHtml(squawkAlerts.watched[code])}
+            <button class="squawk-remove" data-code="${escapeHtml(code)}" title="Stop watching ${escapeHtml(code)}">×</button>
+          </li>`)
+                .join('')
+            : '<li>Only 7500, 7600 and 7700</li>';
+    }
 
-        // Apply search filter
-        if (searchFilter) {
-            const q = searchFilter.toLowerCase();
-            arriving = arriving.filter(
-                (f) =>
-                    (f.callsign && f.callsign.toLowerCase().includes(q)) ||
-                    f.icao24.toLowerCase().includes(q)
-            );
+    function initAlerts() {
+        try {
+            squawkAlerts = { ...squawkAlerts, ...JSON.parse(localStorage.getItem('fra-tracker-squawks')) };
+            alertHistory = JSON.parse(localStorage.getItem('fra-tracker-alerts')) || [];
+        } catch {
+            // ignore a corrupt entry
         }
+        const save = () => localStorage.setItem('fra-tracker-squawks', JSON.stringify(squawkAlerts));
 
-        // Sort by distance
-        arriving.sort((a, b) => (a.distanceToAirport || 999) - (b.distanceToAirport || 999));
+        const panel = document.getElementById('alerts-panel');
+        document.getElementById('alerts-toggle').addEventListener('click', () => {
+            panel.hidden = !panel.hidden;
+        });
+        document.getElementById('alerts-clear').addEventListener('click', () => {
+            if (!confirm('Clear the alert history?')) return;
+            alertHistory = [];
+            localStorage.removeItem('fra-tracker-alerts');
+            renderAlertHistory();
+        });
 
-        countEl.textContent = arriving.length;
+        document.getElementById('alert-banner').addEventListener('click', (e) => {
+            const item = e.target.closest('[data-icao]');
+            if (item) selectFlight(item.dataset.icao);
+        });
 
-        if (arriving.length === 0) {
-            container.innerHTML = `
-        <div class="empty-state">
-          <svg width="48" height="48" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.5" opacity="0.4">
-            <path d="M17.8 19.2L16 11l3.5-3.5C21 6 21.5 4 21 3c-1-.5-3 0-4.5 1.5L13 8 4.8 6.2c-.5-.1-.9.1-1.1.5l-.3.5c-.2.4-.1.9.3 1.1L11 12l-2 3H6l-1 1 3 2 2 3 1-1v-3l3-2 3.7 7.3c.2.4.7.5 1.1.3l.5-.3c.4-.2.5-.6.4-1.1z"/>
-          </svg>
-          <p>${searchFilter ? 'No matching flights' : 'No arriving flights detected'}</p>
-        </div>
-      `;
-            return;
-        }
+        // Watched codes
+        const form = document.getElementById('squawk-form');
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            const code = document.getElementById('squawk-code').value.trim();
+            if (!/^[0-7]{4}$/.test(code)) return;
+            squawkAlerts.watched[code] = document.getElementById('squawk-label').value.trim();
+            form.reset();
+            save();
+            renderWatchedSquawks();
+            refreshDisplay();
+        });
+        document.getElementById('squawk-watch').addEventListener('click', (e) => {
+            const button = e.target.closest('.squawk-remove');
+            if (!button) return;
+            delete squawkAlerts.watched[button.dataset.code];
+            save();
+            renderWatchedSquawks();
+            refreshDisplay();
+        });
 
-        container.innerHTML = arriving
-            .map((f) => {
-                const rwy = f.predictedRunway;
-                const color = rwy ? RUNWAYS[rwy]?.color || '#5b6478' : '#5b6478';
-                const alt = f.baroAltitude != null ? `${Math.round(f.baroAltitude * 3.281).toLocaleString()}ft` : '—';
-                const spd = f.velocity != null ? `${Math.round(f.velocity * 1.944)}kts` : '—';
-                const dist = f.distanceToAirport != null ? `${f.distanceToAirport.toFixed(1)}km` : '—';
-                const confPct = f.confidence != null ? Math.round(f.confidence * 100) : 0;
-                const isActive = f.icao24 === selectedIcao;
+        const notifyInput = document.getElementById('alerts-notify');
+        const supported = 'Notification' in window;
+        notifyInput.disabled = !supported;
+        notifyInput.checked = supported && squawkAlerts.notify && Notification.permission === 'granted';
+        notifyInput.addEventListener('change', async () => {
+            squawkAlerts.notify = notifyInput.checked;
+            if (squawkAlerts.notify && Notification.permission !== 'granted') {
+                squawkAlerts.notify = (await Notification.requestPermission()) === 'granted';
+                notifyInput.checked = squawkAlerts.notify;
+            }
+            save();
+        });
 
-                return `
-          <div class="flight-card${isActive ? ' active' : ''}"
-               style="--card-accent: ${color}"
-               data-icao="${f.icao24}"
-               onclick="window.__selectFlight('${f.icao24}')">
-            <div class="flight-card-header">
-              <span class="flight-callsign">${f.callsign || f.icao24}</span>
-              <span class="flight-runway-badge" style="background: ${rwy ? color + '20' : ''}; color: ${color}">
-                ${rwy || 'N/A'}
-              </span>
-            </div>
-            <div class="flight-card-details">
-              <div class="flight-detail">
-                <span class="flight-detail-label">Alt</span>
-                <span class="flight-detail-value">${alt}</span>
-              </div>
-              <div class="flight-detail">
-                <span class="flight-detail-label">Speed</span>
-                <span class="flight-detail-value">${spd}</span>
-              </div>
-              <div class="flight-detail">
-                <span class="flight-detail-label">Dist</span>
-                <span class="flight-detail-value">${dist}</span>
-              </div>
-            </div>
-            ${rwy ? `
-              <div class="confidence-bar">
-                <div class="confidence-track">
-                  <div class="confidence-fill" style="width: ${confPct}%; background: ${color};"></div>
-                </div>
-                <span class="confidence-label">${confPct}%</span>
-              </div>
-            ` : ''}
-          </div>
-        `;
-            })
-            .join('');
+        renderAlertHistory();
+        renderWatchedSquawks();
     }
 
     // ========================
-    // UI Updates
+    // Accuracy Scoring
     // ========================
 
-    function updateConfigBadge() {
-        const badge = document.getElementById('config-badge');
-        const label = document.getElementById('config-label');
+    // Every arrival's predictions are logged per distance bucket. Once it
+    // lands — it shows up on the ground, or vanishes low and close to a
+    // threshold — the runway it actually used is worked out from its final
+    // position and the log is scored against it.
 
-        if (activeConfig === 'westerly') {
-            badge.className = 'config-badge westerly';
-            label.textContent = 'Westerly Ops (25R/25C/25L)';
-        } else if (activeConfig === 'easterly') {
-            badge.className = 'config-badge easterly';
-            label.textContent = 'Easterly Ops (07L/07C/07R)';
-        }
+    function bucketLabel(max) {
+        const i = DISTANCE_BUCKETS.indexOf(max);
+        return `${i > 0 ? DISTANCE_BUCKETS[i - 1] : 0}–${max} km`;
     }
 
-    function updateLegend() {
+    function trackLandings(airborne, onGround, time) {
+        airborne.forEach((f) => {
+            let entry = predictionLog.get(f.icao24);
+            if (!entry && !f.predictedRunway) return;
+            if (!entry) {
+                entry = { callsign: f.callsign || f.icao24, predictions: {}, lastPrediction: null };
+                predictionLog.set(f.icao24, entry);
+            }
+
+            if (f.predictedRunway) {
+                const bucket = distanceBucket(f.distanceToAirport);
+                if (bucket != null && !(bucket in entry.predictions)) {
+                    entry.predictions[bucket] = f.predictedRunway;
+                }
+                entry.lastPrediction = f.predictedRunway;
+            }
+
+            entry.lastSeen = time;
+            entry.last = { lat: f.latitude, lng: f.longitude, alt: f.baroAltitude, heading: f.heading };
+        });
+
+        // Touched down: a logged arrival now reported on the ground
+        onGround.forEach((g) => {
+            const entry = predictionLog.get(g.icao24);
+            if (!entry) return;
+            predictionLog.delete(g.icao24);
+            const runway = identifyLandingRunway({ lat: g.latitude, lng: g.longitude }, entry.last.heading, airport)
+                || identifyLandingRunway(entry.last, entry.last.heading, airport);
+            if (runway) scoreLanding(entry, runway, time);
+        });
+
+        // Vanished: receivers often lose aircraft on short final
+        for (const [icao, entry] of predictionLog) {
+            if (time - entry.lastSeen < LANDING_LOST_TIMEOUT) continue;
+            predictionLog.delete(icao);
+
+            const height = entry.last.alt != null ? entry.last.alt - airport.elevation : Infinity;
+            if (height > LANDING_MAX_HEIGHT) continue;
+            const runway = identifyLandingRunway(entry.last, entry.last.heading, airport);
+            if (runway) scoreLanding(entry, runway, time);
+        }
+    }
+
+    function scoreLanding(entry, actual, time) {
+        const stats = airportStats();
+        stats.landings++;
+
+        Object.entries(entry.predictions).forEach(([bucket, runway]) => {
+            const b = (stats.buckets[bucket] ||= { hits: 0, total: 0 });
+            b.total++;
+            if (runway === actual) b.hits++;
+        });
+
+        // Runway hit rate and confusion matrix use the last prediction made
+        const predicted = entry.lastPrediction;
+        if (predicted) {
+            const r = (stats.runways[actual] ||= { hits: 0, total: 0 });
+            r.total++;
+            if (predicted === actual) r.hits++;
+
+            const row = (stats.confusion[predicted] ||= {});
+            row[actual] = (row[actual] || 0) + 1;
+        }
+
+        stats.recent.unshift({ callsign: entry.callsign, predicted, actual, time });
+        stats.recent.length = Math.min(stats.recent.length, STATS_RECENT);
+
+        saveStats();
+        renderStats();
+    }
+
+    /**
+     * Log a go-around (see the engine's updateApproaches()) with the
+     * landing stats of the airport
+     */
+    function recordGoAround(event) {
+        const stats = airportStats();
+        stats.goArounds = (stats.goArounds || 0) + 1;
+        (stats.recentGoArounds ||= []).unshift({ ...event, callsign: event.callsign || event.icao24 });
+        stats.recentGoArounds.length = Math.min(stats.recentGoArounds.length, STATS_RECENT);
+
+        saveStats();
+        renderStats();
+    }
+
+    /**
+     * Stats of the active airport, persisted in localStorage per airport
+     */
+    function airportStats() {
+        if (!accuracyStats) {
+            try {
+                accuracyStats = JSON.parse(localStorage.getItem('fra-tracker-stats')) || {};
+            } catch {
+                accuracyStats = {};
+            }
+        }
+        return (accuracyStats[airport.icao] ||= {
+            landings: 0,
+            buckets: {},
+            runways: {},
+            confusion: {},
+            recent: [],
+            goArounds: 0,
+            recentGoArounds: [],
+        });
+    }
+
+    function saveStats() {
+        localStorage.setItem('fra-tracker-stats', JSON.stringify(accuracyStats));
+    }
+
+    function renderStats() {
+        const container = document.getElementById('stats-content');
+        if (!airport || document.getElementById('stats-panel').hidden) return;
+
+        const stats = airportStats();
+        const goArounds = (stats.recentGoArounds || [])
+            .map((g) => `
+        <div class="stats-recent miss">
+          <span>${escapeHtml(g.callsign)}</span>
+          <span>${g.runway} · ${Math.round(g.height * 3.281)}ft</span>
+          <span>${new Date(g.time * 1000).toLocaleTimeString()}</span>
+        </div>`)
+            .join('');
+        const goAroundSection = stats.goArounds ? `<h5>Go-arounds (${stats.goArounds})</h5>${goArounds}` : '';
+
+        if (stats.landings === 0) {
+            container.innerHTML = `<p class="stats-empty">No landings observed yet at this airport.</p>${goAroundSection}`;
+            return;
+        }
+
+        const rate = ({ hits, total }) => (total ? Math.round((hits / total) * 100) : 0);
+        const bar = (label, entry) => `
+      <div class="stats-row">
+        <span class="stats-label">${label}</span>
+        <div class="confidence-track"><div class="confidence-fill" style="width: ${rate(entry)}%; background: var(--accent-green);"></div></div>
+        <span class="stats-value">${rate(entry)}% <span class="stats-count">(${entry.total})</span></span>
+      </div>`;
+
+        const buckets = DISTANCE_BUCKETS
+            .filter((max) => stats.buckets[max])
+            .map((max) => bar(bucketLabel(max), stats.buckets[max]))
+            .join('');
+
+        const runwayNames = Object.keys(airport.runways).filter(
+            (name) => stats.runways[name] || stats.confusion[name]
+        );
+        const runways = runwayNames
+            .filter((name) => stats.runways[name])
+            .map((name) => bar(name, stats.runways[name]))
+            .join('');
+
+        const confusion = `
+      <table class="confusion-matrix">
+        <tr><th>Pred ↓ / Act →</th>${runwayNames.map((n) => `<th>${n}</th>`).join('')}</tr>
+        ${runwayNames.map((pred) => `
+        <tr>
+          <th>${pred}</th>
+          ${runwayNames.map((act) => {
+              const n = (stats.confusion[pred] || {})[act] || 0;
+              return `<td class="${n && pred === act ? 'hit' : n ? 'miss' : ''}">${n || '·'}</td>`;
+          }).join('')}
+        </tr>`).join('')}
+      </table>`;
+
+        const recent = stats.recent
+            .map((r) => `
+        <div class="stats-recent ${r.predicted === r.actual ? 'hit' : 'miss'}">
+          <span>${escapeHtml(r.callsign)}</span>
+          <span>${r.predicted || '—'} → ${r.actual}</span>
+          <span>${new Date(r.time * 1000).toLocaleTimeString()}</span>
+        </div>`)
+            .join('');
+
+        container.innerHTML = `
+      <p class="stats-summary">${stats.landings} landings scored</p>
+      <h5>Hit rate by distance</h5>${buckets}
+      <h5>Hit rate by runway (last prediction)</h5>${runways}
+      <h5>Confusion matrix</h5>${confusion}
+      <h5>Recent landings</h5>${recent}
+      ${goAroundSection}
+    `;
+    }
+
+    function initStats() {
+        const panel = document.getElementById('stats-panel');
+        document.getElementById('stats-toggle').addEventListener('click', () => {
+            panel.hidden = !panel.hidden;
+            renderStats();
+        });
+        document.getElementById('stats-reset').addEventListener('click', () => {
+            if (!airport || !confirm(`Reset prediction statistics for ${airport.icao}?`)) return;
+            delete accuracyStats[airport.icao];
+            saveStats();
+            renderStats();
+        });
+    }
+
+    // ========================
+    // Vertical Profile
+    // ========================
+
+    // Arrivals plotted by altitude against distance to the threshold of
+    // their predicted runway, with the glide path as reference (see the
+    // engine's glidepathDeviation()). Drawn as plain SVG.
+
+    function renderProfile() {
+        const panel = document.getElementById('profile-panel');
+        if (!airport || panel.hidden) return;
+
+        const W = 460;
+        const H = 220;
+        const pad = { left: 44, right: 12, top: 10, bottom: 26 };
+        // Threshold on the right, as on an approach chart
+        const x = (nm) => W - pad.right - (nm / PROFILE_MAX_DIST) * (W - pad.left - pad.right);
+        const y = (ft) => H - pad.bottom - (ft / PROFILE_MAX_ALT) * (H - pad.top - pad.bottom);
+        const nm = (km) => km / 1.852;
+        const ft = (m) => m * 3.281;
+
+        const grid = [];
+        for (let d = 0; d <= PROFILE_MAX_DIST; d += 5) {
+            grid.push(`<line class="profile-grid" x1="${x(d)}" y1="${y(0)}" x2="${x(d)}" y2="${y(PROFILE_MAX_ALT)}" />`);
+            grid.push(`<text class="profile-axis" x="${x(d)}" y="${H - 10}" text-anchor="middle">${d}</text>`);
+        }
+        for (let a = 0; a <= PROFILE_MAX_ALT; a += 2000) {
+            grid.push(`<line class="profile-grid" x1="${x(0)}" y1="${y(a)}" x2="${x(PROFILE_MAX_DIST)}" y2="${y(a)}" />`);
+            grid.push(`<text class="profile-axis" x="${pad.left - 4}" y="${y(a) + 3}" text-anchor="end">${a / 1000}k</text>`);
+        }
+        grid.push(`<text class="profile-axis" x="${x(0)}" y="${H - 1}" text-anchor="end">NM to threshold</text>`);
+
+        // Glide path, up to where it leaves the chart
+        const pathFt = (d) => ft(glidepathAltitude(d * 1.852, airport));
+        const pathEnd = Math.min(PROFILE_MAX_DIST, (PROFILE_MAX_ALT - pathFt(0)) / (pathFt(1) - pathFt(0)));
+        const glidepath = `
+          <line class="profile-glidepath" x1="${x(0)}" y1="${y(pathFt(0))}" x2="${x(pathEnd)}" y2="${y(pathFt(pathEnd))}" />
+          <text class="profile-axis" x="${x(pathEnd) + 4}" y="${y(pathFt(pathEnd)) + 12}">${GLIDEPATH_ANGLE.toFixed(1)}°</text>`;
+
+        const arrivals = flights.filter((f) =>
+            f.glidepath && nm(f.glidepath.distance) <= PROFILE_MAX_DIST && ft(f.baroAltitude) <= PROFILE_MAX_ALT);
+        const selected = arrivals.find((f) => f.icao24 === selectedIcao);
+
+        // Track history of the selected flight against the same threshold
+        let history = '';
+        if (selected) {
+            const rwy = airport.runways[selected.predictedRunway];
+            const points = (selected.track || [])
+                .filter((p) => p.alt != null)
+                .map((p) => `${x(Math.min(PROFILE_MAX_DIST, nm(distanceToThreshold(p.lat, p.lng, rwy))))},${y(Math.min(PROFILE_MAX_ALT, ft(p.alt)))}`);
+            if (points.length > 1) {
+                history = `<polyline class="profile-history" points="${points.join(' ')}" stroke="${rwy.color}" />`;
+            }
+        }
+
+        const dots = arrivals
+            .sort((a, b) => (a === selected) - (b === selected)) // selected on top
+            .map((f) => {
+                const cx = x(nm(f.glidepath.distance));
+                const cy = y(ft(f.baroAltitude));
+                const color = airport.runways[f.predictedRunway].color;
+                const flag = f.glidepath.flag ? (f.glidepath.flag === 'high' ? ' ▲' : ' ▼') : '';
+                return `
+          <g class="profile-flight${f === selected ? ' selected' : ''}${f.glidepath.flag ? ' off-path' : ''}" data-icao="${escapeHtml(f.icao24)}">
+            <title>${escapeHtml(f.callsign || f.icao24)} · ${f.predictedRunway} · ${glidepathLabel(f.glidepath)}</title>
+            <circle cx="${cx}" cy="${cy}" r="${f === selected ? 5 : 3.5}" fill="${color}" />
+            <text class="profile-label" x="${cx}" y="${cy - 7}" text-anchor="middle">${escapeHtml(f.callsign || f.icao24)}${flag}</text>
+          </g>`;
+            })
+            .join('');
+
+        document.getElementById('profile-chart').innerHTML = grid.join('') + glidepath + history + dots;
+
+        const off = arrivals.filter((f) => f.glidepath.flag).length;
+        document.getElementById('profile-summary').textContent =
+            `${arrivals.length} arrivals${off ? ` · ${off} off the glide path` : ''}`;
+    }
+
+    function initProfile() {
+        const panel = document.getElementById('profile-panel');
+        document.getElementById('profile-toggle').addEventListener('click', () => {
+            panel.hidden = !panel.hidden;
+            renderProfile();
+        });
+        document.getElementById('profile-chart').addEventListener('click', (e) => {
+            const item = e.target.closest('[data-icao]');
+            if (item) selectFlight(item.dataset.icao);
+        });
+    }
+
+    // ========================
+    // Holding Stacks
+    // ========================
+
+    // Arrivals flying a holding pattern (see the engine's updateHolds())
+    // are grouped into stacks by holding fix. Each stack is shown on the
+    // map and in the sidebar with its levels and a rough delay per flight.
+
+    function updateHolding() {
+        stacks = holdingStacks(flights, airport, clockNow());
+        drawHoldingStacks();
+        renderHoldingPanel();
+    }
+
+    /**
+     * The stack entry of a holding flight: { flight, held, delay }
+     */
+    function holdEntry(f) {
+        for (const stack of stacks) {
+            const entry = stack.flights.find((e) => e.flight === f);
+            if (entry) return entry;
+        }
+        return null;
+    }
+
+    function holdingLabel(f) {
+        const entry = holdEntry(f);
+        const fix = f.holding.fix || 'unnamed fix';
+        return entry ? `${fix} · held ${formatAge(entry.held)} · ~${Math.round(entry.delay / 60)} min delay` : fix;
+    }
+
+    function flightLevel(f) {
+        return f.baroAltitude != null ? `FL${String(Math.round((f.baroAltitude * 3.281) / 100)).padStart(3, '0')}` : 'FL—';
+    }
+
+    /**
+     * A marker on every holding fix of the airport, with its occupants'
+     * levels, and on holds that match no fix
+     */
+    function drawHoldingStacks() {
+        if (!map) return;
+        if (!holdingLayer) holdingLayer = L.layerGroup().addTo(map);
+        holdingLayer.clearLayers();
+
+        const empty = airport.holdings
+            .filter((fix) => !stacks.some((stack) => stack.fix === fix.id))
+            .map((fix) => ({ fix: fix.id, lat: fix.lat, lng: fix.lng, flights: [] }));
+        [...stacks, ...empty].forEach((stack) => {
+            const levels = stack.flights.map((e) => flightLevel(e.flight)).reverse(); // top of the stack first
+            const html = `
+              <div class="holding-stack${stack.flights.length ? ' occupied' : ''}">
+                <div class="holding-stack-name">${escapeHtml(stack.fix || 'Hold')}${stack.flights.length ? ` · ${stack.flights.length}` : ''}</div>
+                ${levels.map((level) => `<div class="holding-stack-level">${level}</div>`).join('')}
+              </div>`;
+            L.marker([stack.lat, stack.lng], {
+                icon: L.divIcon({ className: 'holding-stack-marker', html, iconSize: null }),
+                interactive: false,
+                zIndexOffset: -1000,
+            }).addTo(holdingLayer);
+        });
+    }
+
+    function renderHoldingPanel() {
+        const panel = document.getElementById('holding-panel');
+        panel.hidden = stacks.length === 0;
+        if (panel.hidden) return;
+
+        const count = stacks.reduce((sum, stack) => sum + stack.flights.length, 0);
+        document.getElementById('holding-count').textContent = count;
+        document.getElementById('holding-stacks').innerHTML = stacks
+            .map((stack) => `
+          <div class="holding-group">
+            <div class="holding-group-name">${escapeHtml(stack.fix || 'Unnamed hold')}</div>
+            ${stack.flights
+                .slice()
+                .reverse()
+                .map(({ flight: f, held, delay }) => `
+            <button class="holding-row" data-icao="${escapeHtml(f.icao24)}">
+              <span class="holding-level">${flightLevel(f)}</span>
+              <strong>${escapeHtml(f.callsign || f.icao24)}</strong>
+              <span class="holding-held" title="Holding for">${formatAge(held)}</span>
+              <span class="holding-delay" title="Estimated delay">~${Math.round(delay / 60)} min</span>
+            </button>`)
+                .join('')}
+          </div>`)
+            .join('');
+    }
+
+    function initHolding() {
+        document.getElementById('holding-stacks').addEventListener('click', (e) => {
+            const item = e.target.closest('[data-icao]');
+            if (item) selectFlight(item.dataset.icao);
+        });
+    }
+
+    // ========================
+    // Noise Watch
+    // ========================
+
+    // Users save locations on the ground — home, work — and see which
+    // arrivals will pass over them next, when and how low (see the engine's
+    // overflight()). A notification can go out shortly before each one.
+
+    /**
+     * Arrivals passing a location within OVERHEAD_HORIZON, soonest first
+     */
+    function upcomingOverflights(location) {
+        return flights
+            .map((f) => ({ flight: f, pass: overflight(f, location, airport) }))
+            .filter(({ pass }) => pass && pass.lateral <= OVERHEAD_MAX_LATERAL && pass.time <= OVERHEAD_HORIZON)
+            .sort((a, b) => a.pass.time - b.pass.time);
+    }
+
+    function updateNoiseWatch() {
+        const upcoming = noiseWatch.locations.map((location) => ({ location, passes: upcomingOverflights(location) }));
+        renderOverhead(upcoming);
+
+        // Each overflight is announced once; forget the ones that are gone
+        const current = new Set();
+        upcoming.forEach(({ location, passes }) => passes.forEach(({ flight, pass }) => {
+            const key = `${location.id}:${flight.icao24}`;
+            current.add(key);
+            if (pass.time <= OVERHEAD_NOTIFY_TIME && !overheadNotified.has(key) && !replay) {
+                overheadNotified.add(key);
+                notifyOverflight(location, flight, pass);
+            }
+        }));
+        overheadNotified = new Set([...overheadNotified].filter((key) => current.has(key)));
+    }
+
+    function notifyOverflight(location, f, pass) {
+        if (!noiseWatch.notify || !('Notification' in window) || Notification.permission !== 'granted') return;
+        new Notification(`${f.callsign || f.icao24} over ${location.name} in ${formatCountdown(pass.time)}`, {
+            body: `${heightLabel(pass)} · ${pass.lateral.toFixed(1)}km off the centerline · landing ${pass.runway}`,
+            tag: `fra-tracker-overhead-${location.id}-${f.icao24}`,
+        });
+    }
+
+    /**
+     * Height above the airport, which is close enough to the ground under
+     * the approach
+     */
+    function heightLabel(pass) {
+        return `${Math.round((pass.altitude - airport.elevation) * 3.281).toLocaleString()}ft`;
+    }
+
+    function renderOverhead(upcoming) {
+        const list = document.getElementById('noise-overhead');
+        const count = upcoming.reduce((sum, { passes }) => sum + passes.length, 0);
+        document.getElementById('noise-summary').textContent = count ? `${count} overhead soon` : '';
+
+        if (!upcoming.length) {
+            list.innerHTML = '<li class="stats-empty">Save a location to see the arrivals passing over it.</li>';
+            return;
+        }
+        list.innerHTML = upcoming
+            .map(({ location, passes }) => `
+          <li>
+            <h5>${escapeHtml(location.name)}</h5>
+            ${passes.length
+                ? passes.map(({ flight: f, pass }) => `
+            <button class="overhead-item" data-icao="${escapeHtml(f.icao24)}">
+              <strong>${escapeHtml(f.callsign || f.icao24)}</strong>
+              <span>${pass.runway} · ${heightLabel(pass)} · ${pass.lateral.toFixed(1)}km</span>
+              <span class="eta-countdown" data-eta="${escapeHtml(pass.eta)}"></span>
+            </button>`).join('')
+                : '<span class="stats-empty">Nothing overhead soon</span>'}
+          </li>`)
+            .join('');
+        updateCountdowns();
+    }
+
+    function renderNoiseLocations() {
+        const list = document.getElementById('noise-locations');
+        list.innerHTML = noiseWatch.locations.length
+            ? noiseWatch.locations
+                .map((l) => `
+          <li>
+            <span>${escapeHtml(l.name)}</span>
+            <span class="config-event-time">${l.lat.toFixed(4)}, ${l.lng.toFixed(4)}</span>
+            <button class="squawk-remove" data-id="${escapeHtml(l.id)}" title="Remove ${escapeHtml(l.name)}">×</button>
+          </li>`)
+                .join('')
+            : '<li>None saved yet</li>';
+    }
+
+    function drawNoiseLocations() {
+        if (!map) return;
+        if (!noiseLayer) noiseLayer = L.layerGroup().addTo(map);
+        noiseLayer.clearLayers();
+        noiseWatch.locations.forEach((l) => {
+            L.circleMarker([l.lat, l.lng], { radius: 6, className: 'noise-location' })
+                .bindTooltip(escapeHtml(l.name), { direction: 'top', offset: [0, -6] })
+                .addTo(noiseLayer);
+        });
+    }
+
+    function saveNoiseWatch() {
+        localStorage.setItem('fra-tracker-noise-watch', JSON.stringify(noiseWatch));
+    }
+
+    /**
+     * Save the location the user clicks on the map next
+     */
+    function setPickingLocation(name) {
+        pickingLocation = name;
+        document.getElementById('map').classList.toggle('picking-location', !!name);
+        document.getElementById('noise-pick').textContent = name ? 'Cancel' : 'Pick on map';
+    }
+
+    function initNoiseLocations() {
+        map.on('click', (e) => {
+            if (!pickingLocation) return;
+            noiseWatch.locations.push({
+                id: Date.now().toString(36),
+                name: pickingLocation,
+                lat: e.latlng.lat,
+                lng: e.latlng.lng,
+            });
+            setPickingLocation(null);
+            document.getElementById('noise-form').reset();
+            saveNoiseWatch();
+            renderNoiseLocations();
+            drawNoiseLocations();
+            updateNoiseWatch();
+        });
+        drawNoiseLocations();
+    }
+
+    function initNoiseWatch() {
+        try {
+            noiseWatch = { ...noiseWatch, ...JSON.parse(localStorage.getItem('fra-tracker-noise-watch')) };
+        } catch {
+            // ignore a corrupt entry
+        }
+
+        const panel = document.getElementById('noise-panel');
+        document.getElementById('noise-toggle').addEventListener('click', () => {
+            panel.hidden = !panel.hidden;
+            if (panel.hidden) setPickingLocation(null);
+        });
+        document.getElementById('noise-overhead').addEventListener('click', (e) => {
+            const item = e.target.closest('[data-icao]');
+            if (item) selectFlight(item.dataset.icao);
+        });
+
+        document.getElementById('noise-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            const name = document.getElementById('noise-name').value.trim();
+            setPickingLocation(pickingLocation ? null : name);
+        });
+        document.getElementById('noise-locations').addEventListener('click', (e) => {
+            const button = e.target.closest('.squawk-remove');
+            if (!button) return;
+            noiseWatch.locations = noiseWatch.locations.filter((l) => l.id !== button.dataset.id);
+            saveNoiseWatch();
+            renderNoiseLocations();
+            drawNoiseLocations();
+            updateNoiseWatch();
+        });
+
+        const notifyInput = document.getElementById('noise-notify');
+        const supported = 'Notification' in window;
+        notifyInput.disabled = !supported;
+        notifyInput.checked = supported && noiseWatch.notify && Notification.permission === 'granted';
+        notifyInput.addEventListener('change', async () => {
+            noiseWatch.notify = notifyInput.checked;
+            if (noiseWatch.notify && Notification.permission !== 'granted') {
+                noiseWatch.notify = (await Notification.requestPermission()) === 'granted';
+                notifyInput.checked = noiseWatch.notify;
+            }
+            saveNoiseWatch();
+        });
+
+        renderNoiseLocations();
+        renderOverhead([]);
+    }
+
+    // ========================
+    // Flight Filter
+    // ========================
+
+    // The search box takes plain words (matched against callsign, icao24,
+    // registration, type, airline and operator) mixed with field terms:
+    //   rwy:25L,25C   predicted landing / take-off runway
+    //   status:dep    arr(iving), dep(arting) or over(flight)
+    //   airline:DLH   callsign prefix        type:A359   wake:H
+    //   alt<2000      altitude (ft)          conf>70     confidence (%)
+    //   dist<=20      distance (km)          spd>180     ground speed (kt)
+    // Numeric fields take <, <=, >, >=, = or a range like alt:1000-3000.
+    // All terms must match.
+
+    const LIST_FIELDS = {
+        rwy: 'runways', runway: 'runways',
+        status: 'status', is: 'status',
+        airline: 'airlines', al: 'airlines',
+        type: 'types',
+        wake: 'wake',
+    };
+
+    const NUMERIC_FIELDS = {
+        alt: (f) => (f.baroAltitude != null ? f.baroAltitude * 3.281 : null),
+        conf: (f) => {
+            const c = f.isDeparting ? f.departureConfidence : f.confidence;
+            return flightRunway(f) && c != null ? c * 100 : null;
+        },
+        dist: (f) => f.distanceToAirport ?? null,
+        spd: (f) => (f.velocity != null ? f.velocity * 1.944 : null),
+    };
+    NUMERIC_FIELDS.altitude = NUMERIC_FIELDS.alt;
+    NUMERIC_FIELDS.confidence = NUMERIC_FIELDS.conf;
+    NUMERIC_FIELDS.distance = NUMERIC_FIELDS.dist;
+    NUMERIC_FIELDS.speed = NUMERIC_FIELDS.spd;
+
+    const STATUS_ALIASES = {
+        arr: 'arriving', arriving: 'arriving', arrival: 'arriving',
+        dep: 'departing', departing: 'departing', departure: 'departing',
+        over: 'overflight', overflight: 'overflight', other: 'overflight',
+    };
+
+    /**
+     * Parse a search query into { terms, runways, status, airlines, types,
+     * wake, ranges }; unset fields are null. Tokens that aren't valid
+     * field terms are searched for as plain text.
+     */
+    function parseQuery(text) {
+        const filter = { terms: [], runways: null, status: null, airlines: null, types: null, wake: null, ranges: [] };
+
+        text.trim().split(/\s+/).filter(Boolean).forEach((token) => {
+            const match = /^([a-z]+)(<=|>=|<|>|=|:)(.+)$/i.exec(token);
+            const key = match && match[1].toLowerCase();
+            const [op, value] = match ? [match[2], match[3]] : [];
+
+            if (match && LIST_FIELDS[key] && (op === ':' || op === '=')) {
+                let values = value.toUpperCase().split(',').filter(Boolean);
+                if (key === 'status' || key === 'is') {
+                    values = values.map((v) => STATUS_ALIASES[v.toLowerCase()]).filter(Boolean);
+                }
+                if (values.length) {
+                    const field = LIST_FIELDS[key];
+                    filter[field] = [...(filter[field] || []), ...values];
+                    return;
+                }
+            }
+
+            if (match && NUMERIC_FIELDS[key]) {
+                const range = op === ':' && /^(\d+(?:\.\d+)?)-(\d+(?:\.\d+)?)$/.exec(value);
+                if (range) {
+                    filter.ranges.push({ get: NUMERIC_FIELDS[key], min: Number(range[1]), max: Number(range[2]) });
+                    return;
+                }
+                if (op !== ':' && Number.isFinite(Number(value))) {
+                    filter.ranges.push({ get: NUMERIC_FIELDS[key], op, value: Number(value) });
+                    return;
+                }
+            }
+
+            filter.terms.push(token.toLowerCase());
+        });
+
+        return filter;
+    }
+
+    function isFilterActive(filter) {
+        return filter.terms.length > 0 || filter.ranges.length > 0 ||
+            ['runways', 'status', 'airlines', 'types', 'wake'].some((field) => filter[field]);
+    }
+
+    /**
+     * Which sidebar tab a flight belongs to
+     */
+    function flightStatus(f) {
+        if (f.isDeparting) return 'departing';
+        const arriving = f.predictedRunway ||
+            (f.distanceToAirport < ARRIVING_MAX_DIST && f.baroAltitude != null && f.baroAltitude < ARRIVING_MAX_ALT);
+        return arriving ? 'arriving' : 'overflight';
+    }
+
+    function matchesFilter(f, filter) {
+        if (filter.runways && !filter.runways.includes(flightRunway(f))) return false;
+        if (filter.status && !filter.status.includes(flightStatus(f))) return false;
+        if (filter.airlines && !filter.airlines.includes(callsignPrefix(f.callsign))) return false;
+        if (filter.types && !filter.types.includes(f.aircraftType)) return false;
+        if (filter.wake && !filter.wake.includes(f.wake)) return false;
+
+        const ok = filter.ranges.every(({ get, op, value, min, max }) => {
+            const v = get(f);
+            if (v == null) return false;
+            if (op == null) return v >= min && v <= max;
+            return { '<': v < value, '<=': v <= value, '>': v > value, '>=': v >= value, '=': Math.round(v) === value }[op];
+        });
+        if (!ok) return false;
+
+        const text = [f.callsign, f.icao24, f.registration, f.aircraftType, f.airline, f.operator]
+            .filter(Boolean)
+            .map((value) => value.toLowerCase());
+        return filter.terms.every((term) => text.some((value) => value.includes(term)));
+    }
+
+    /**
+     * Whether a flight passes both the search query and the filter selects;
+     * flights squawking an alert code always do
+     */
+    function isVisible(f) {
+        return !!f.alert || (matchesFilter(f, searchQuery) && matchesFilter(f, filterControls));
+    }
+
+    const SORTS = {
+        distance: (a, b) => (a.distanceToAirport || 999) - (b.distanceToAirport || 999),
+        altitude: (a, b) => (a.baroAltitude ?? Infinity) - (b.baroAltitude ?? Infinity),
+        confidence: (a, b) => (NUMERIC_FIELDS.conf(b) ?? -1) - (NUMERIC_FIELDS.conf(a) ?? -1),
+        eta: (a, b) => (a.eta ?? Infinity) - (b.eta ?? Infinity),
+        callsign: (a, b) => (a.callsign || a.icao24).localeCompare(b.callsign || b.icao24),
+    };
+
+    /**
+     * Filter selects below the search box; they combine with the query
+     */
+    function initFilters() {
+        const runwaySelect = document.getElementById('filter-runway');
+        const statusSelect = document.getElementById('filter-status');
+        const altSelect = document.getElementById('filter-alt');
+        const confSelect = document.getElementById('filter-conf');
+
+        const apply = () => {
+            const filter = parseQuery('');
+            if (runwaySelect.value) filter.runways = [runwaySelect.value];
+            if (statusSelect.value) filter.status = [statusSelect.value];
+            if (altSelect.value) {
+                const [min, max] = altSelect.value.split('-').map(Number);
+                filter.ranges.push({ get: NUMERIC_FIELDS.alt, min, max });
+            }
+            if (confSelect.value) {
+                filter.ranges.push({ get: NUMERIC_FIELDS.conf, op: '>=', value: Number(confSelect.value) });
+            }
+            filterControls = filter;
+            updateAircraftOnMap(flights);
+            renderFlightList(flights);
+            updateHash();
+        };
+        [runwaySelect, statusSelect, altSelect, confSelect].forEach((el) => el.addEventListener('change', apply));
+        apply();
+    }
+
+    /**
+     * Runway choices for the filter — all runway ends of the airport
+     */
+    function updateRunwayFilter() {
+        const select = document.getElementById('filter-runway');
+        const current = select.value;
+        select.innerHTML = '<option value="">Any runway</option>' +
+            Object.keys(airport.runways)
+                .map((name) => `<option value="${name}">${name}</option>`)
+                .join('');
+        if (current && !airport.runways[current]) {
+            select.value = '';
+            select.dispatchEvent(new Event('change'));
+        } else {
+            select.value = current;
+        }
+    }
+
+    // ========================
+    // Flight List (Sidebar)
+    // ========================
+
+    const STATUS_TABS = { arriving: 'arrivals', departing: 'departures', overflight: 'overflights' };
+
+    function renderFlightList(flights) {
+        const container = document.getElementById('flight-list');
+        const visible = flights.filter(isVisible);
+        const filtered = visible.length < flights.length;
+
+        // Flights squawking an alert code are pinned above every tab,
+        // whatever the filter
+        const pinned = flights.filter((f) => f.alert).sort((a, b) => b.alert.emergency - a.alert.emergency);
+
+        // Split into the tabs, see flightStatus()
+        const byStatus = { arriving: [], departing: [], overflight: [] };
+        visible.filter((f) => !f.alert).forEach((f) => byStatus[flightStatus(f)].push(f));
+
+        document.getElementById('flight-count').textContent = byStatus.arriving.length;
+        document.getElementById('departure-count').textContent = byStatus.departing.length;
+        document.getElementById('overflight-count').textContent = byStatus.overflight.length;
+
+        const list = { arrivals: byStatus.arriving, departures: byStatus.departing, overflights: byStatus.overflight }[listTab];
+        list.sort(SORTS[sortKey] || SORTS.distance);
+        if (sortKey === 'eta') {
+            // Flights without an ETA (departures, overflights) by distance
+            list.sort((a, b) => SORTS.eta(a, b) || SORTS.distance(a, b));
+        }
+
+        const items = pinned.map((f) => ({ key: f.icao24, html: flightCard(f, STATUS_TABS[flightStatus(f)]) }));
+
+        if (listTab === 'arrivals' && sequenceView.active) {
+            // The sequence is about runway load, so it shows all arrivals
+            items.push({ key: 'sequence', html: renderSequence(flights) });
+        } else if (list.length === 0) {
+            items.push({ key: 'empty', html: `
+        <div class="empty-state">
+          <svg width="48" height="48" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.5" opacity="0.4">
+            <path d="M17.8 19.2L16 11l3.5-3.5C21 6 21.5 4 21 3c-1-.5-3 0-4.5 1.5L13 8 4.8 6.2c-.5-.1-.9.1-1.1.5l-.3.5c-.2.4-.1.9.3 1.1L11 12l-2 3H6l-1 1 3 2 2 3 1-1v-3l3-2 3.7 7.3c.2.4.7.5 1.1.3l.5-.3c.4-.2.5-.6.4-1.1z"/>
+          </svg>
+          <p>${filtered ? 'No matching flights' : `No ${{ arrivals: 'arriving', departures: 'departing', overflights: 'overflying' }[listTab]} flights detected`}</p>
+        </div>` });
+        } else {
+            list.forEach((f) => items.push({ key: f.icao24, html: flightCard(f, listTab) }));
+        }
+
+        patchChildren(container, items);
+        updateCountdowns();
+    }
+
+    const renderedHtml = new WeakMap(); // element → the markup it was built from, see patchChildren()
+
+    /**
+     * Bring the container's children in line with `items` ([{ key, html }],
+     * each html a single element) replacing only those whose markup changed
+     * and moving the rest, so scroll position and hover state survive
+     */
+    function patchChildren(container, items) {
+        const existing = new Map();
+        [...container.children].forEach((el) => {
+            if (el.dataset.key != null) existing.set(el.dataset.key, el);
+            else el.remove();
+        });
+
+        let cursor = container.firstElementChild;
+        items.forEach(({ key, html }) => {
+            let el = existing.get(key);
+            existing.delete(key);
+
+            if (!el || renderedHtml.get(el) !== html) {
+                if (el) {
+                    if (el === cursor) cursor = el.nextElementSibling;
+                    el.remove();
+                }
+                const template = document.createElement('template');
+                template.innerHTML = html.trim();
+                el = template.content.firstElementChild;
+                el.dataset.key = key;
+                renderedHtml.set(el, html);
+            }
+
+            if (el === cursor) cursor = cursor.nextElementSibling;
+            else container.insertBefore(el, cursor);
+        });
+
+        existing.forEach((el) => el.remove());
+    }
+
+    /**
+     * Sidebar card of a flight; `tab` picks the last detail column
+     */
+    function flightCard(f, tab) {
+        const departing = tab === 'departures';
+        const rwy = flightRunway(f);
+        const color = flightColor(f);
+        const alt = f.baroAltitude != null ? `${Math.round(f.baroAltitude * 3.281).toLocaleString()}ft` : '—';
+        const spd = f.velocity != null ? `${Math.round(f.velocity * 1.944)}kts` : '—';
+        const dist = f.distanceToAirport != null ? `${f.distanceToAirport.toFixed(1)}km` : '—';
+        const confidence = departing ? f.departureConfidence : f.confidence;
+        const confPct = confidence != null ? Math.round(confidence * 100) : 0;
+        const isActive = f.icao24 === selectedIcao;
+        const meta = aircraftSummary(f);
+
+        return `
+          <div class="flight-card${isActive ? ' active' : ''}${f.alert ? ` alert${f.alert.emergency ? ' emergency' : ''}` : ''}${staleClass(f)}"
+               style="--card-accent: ${color}"
+               data-icao="${escapeHtml(f.icao24)}" ${updatedAttr(f)}>
+            <div class="flight-card-header">
+              <span class="flight-callsign">${escapeHtml(f.callsign || f.icao24)}${dataAge(f)}</span>
+              ${f.alert ? `<span class="squawk-badge" title="${escapeHtml(f.alert.label)}">${escapeHtml(f.alert.code)}</span>` : ''}
+              ${f.goAround ? `<span class="go-around-badge${f.goAround.phase === 'rejoined' ? ' rejoined' : ''}" title="${goAroundLabel(f.goAround)}">
+                ${f.goAround.phase === 'missed' ? 'GO-AROUND' : `APPR ${f.goAround.count + 1}`}
+              </span>` : ''}
+              ${f.holding ? `<span class="hold-badge" title="${holdingLabel(f)}">HOLD${f.holding.fix ? ` ${f.holding.fix}` : ''}</span>` : ''}
+              <span class="flight-runway-badge" style="background: ${rwy ? color + '20' : ''}; color: ${color}">
+                ${rwy || 'N/A'}
+              </span>
+            </div>
+            ${f.alert ? `<div class="flight-meta flight-alert">${escapeHtml(f.alert.label)}</div>` : ''}
+            ${meta ? `<div class="flight-meta">${escapeHtml(meta)}</div>` : ''}
+            <div class="flight-card-details">
+              <div class="flight-detail">
+                <span class="flight-detail-label">Alt</span>
+                <span class="flight-detail-value">${alt}</span>
+              </div>
+              <div class="flight-detail">
+                <span class="flight-detail-label">Speed</span>
+                <span class="flight-detail-value">${spd}</span>
+              </div>
+              <div class="flight-detail">
+                <span class="flight-detail-label">Dist</span>
+                <span class="flight-detail-value">${dist}</span>
+              </div>
+              ${departing ? `
+              <div class="flight-detail">
+                <span class="flight-detail-label">Out</span>
+                <span class="flight-detail-value">${sectorLabel(f.outboundSector)}</span>
+              </div>
+              ` : tab === 'overflights' ? `
+              <div class="flight-detail">
+                <span class="flight-detail-label">Hdg</span>
+                <span class="flight-detail-value">${f.heading != null ? `${Math.round(f.heading)}°` : '—'}</span>
+              </div>
+              ` : `
+              <div class="flight-detail">
+                <span class="flight-detail-label">Land</span>
+                <span class="flight-detail-value">${etaCountdown(f)}</span>
+              </div>
+              `}
+            </div>
+            ${rwy ? `
+              <div class="confidence-bar">
+                <div class="confidence-track">
+                  <div class="confidence-fill" style="width: ${confPct}%; background: ${color};"></div>
+                </div>
+                <span class="confidence-label">${confPct}%</span>
+              </div>
+            ` : ''}
+          </div>
+        `;
+    }
+
+    /**
+     * Arrivals in one column per landing runway of the active
+     * configuration, next to land on top, with the spacing between them
+     */
+    function renderSequence(flights) {
+        if (!activeConfig) return '<div class="sequence"></div>';
+
+        const sequence = approachSequence(flights, airport, activeConfig);
+        const columns = Object.entries(sequence)
+            .map(([rwy, arrivals]) => {
+                const items = arrivals
+                    .map(({ flight: f, gapDistance, gapTime }) => {
+                        const gap = gapDistance != null ? gapDistance / 1.852 : null;
+                        return `
+              ${gap != null ? `
+              <div class="sequence-gap${gap < sequenceView.minGap ? ' tight' : ''}">
+                ${gap.toFixed(1)} NM · ${Math.round(gapTime)} s
+              </div>` : ''}
+              <div class="sequence-item${f.icao24 === selectedIcao ? ' active' : ''}" data-icao="${escapeHtml(f.icao24)}">
+                <span class="sequence-callsign">${escapeHtml(f.callsign || f.icao24)}</span>
+                <span class="sequence-detail">${(f.remainingDistance / 1.852).toFixed(1)} NM · ${etaCountdown(f)}</span>
+              </div>`;
+                    })
+                    .join('');
+
+                return `
+            <div class="sequence-column">
+              <div class="sequence-header" style="--card-accent: ${airport.runways[rwy].color}">
+                ${rwy} <span class="flight-count">${arrivals.length}</span>
+              </div>
+              ${items || '<div class="sequence-empty">No arrivals</div>'}
+            </div>`;
+            })
+            .join('');
+
+        return `<div class="sequence">${columns}</div>`;
+    }
+
+    /**
+     * Toggle the arrivals tab between the list and the sequence view, and
+     * the spacing below which gaps are highlighted
+     */
+    function initSequence() {
+        try {
+            sequenceView = { ...sequenceView, ...JSON.parse(localStorage.getItem('fra-tracker-sequence')) };
+        } catch {
+            // ignore a corrupt entry
+        }
+        const save = () => localStorage.setItem('fra-tracker-sequence', JSON.stringify(sequenceView));
+
+        const toggle = document.getElementById('view-toggle');
+        const row = document.querySelector('.sequence-row');
+        const update = () => {
+            toggle.hidden = listTab !== 'arrivals';
+            toggle.classList.toggle('active', sequenceView.active);
+            toggle.setAttribute('aria-pressed', sequenceView.active);
+            row.hidden = toggle.hidden || !sequenceView.active;
+        };
+        toggle.addEventListener('click', () => {
+            sequenceView.active = !sequenceView.active;
+            save();
+            update();
+            renderFlightList(flights);
+        });
+        document.querySelectorAll('.sidebar-tab').forEach((tab) => tab.addEventListener('click', update));
+
+        const gapInput = document.getElementById('min-gap-input');
+        gapInput.value = sequenceView.minGap;
+        gapInput.addEventListener('change', () => {
+            const nm = Number(gapInput.value);
+            sequenceView.minGap = Number.isFinite(nm) && nm >= 0 ? nm : SEQUENCE_MIN_GAP;
+            gapInput.value = sequenceView.minGap;
+            save();
+            renderFlightList(flights);
+        });
+
+        update();
+    }
+
+    /**
+     * Switch the sidebar between the arrivals and departures lists, and
+     * select flights from the list
+     */
+    function initListTabs() {
+        // One handler for every card and sequence entry, see patchChildren()
+        document.getElementById('flight-list').addEventListener('click', (e) => {
+            const item = e.target.closest('[data-icao]');
+            if (item) selectFlight(item.dataset.icao);
+        });
+
+        const tabs = document.querySelectorAll('.sidebar-tab');
+        tabs.forEach((tab) => {
+            tab.addEventListener('click', () => {
+                listTab = tab.dataset.tab;
+                tabs.forEach((t) => {
+                    t.classList.toggle('active', t === tab);
+                    t.setAttribute('aria-selected', t === tab);
+                });
+                renderFlightList(flights);
+                updateHash();
+            });
+        });
+    }
+
+    // ========================
+    // UI Updates
+    // ========================
+
+    function updateConfigBadge() {
+        const badge = document.getElementById('config-badge');
+        const label = document.getElementById('config-label');
+
+        const windEl = document.getElementById('config-wind');
+
+        const wind = currentWind();
+        windEl.textContent = wind ? formatWind(wind) : '';
+        windEl.hidden = !wind;
+        updateConfigDetails();
+
+        const cfg = activeConfig && airport.configs[activeConfig];
+        if (!cfg) {
+            badge.className = 'config-badge';
+            label.textContent = 'Detecting...';
+            return;
+        }
+
+        const transition = configState.phase === 'transition';
+        badge.className = `config-badge ${activeConfig}${transition ? ' transition' : ''}`;
+        label.textContent = `${cfg.label} (${cfg.landing.join('/')})`;
+        if (configState.pending) {
+            label.textContent += ` → ${airport.configs[configState.pending].label}?`;
+        } else if (transition) {
+            label.textContent += ' · mixed';
+        }
+    }
+
+    /**
+     * Reasoning behind the configuration and wind components per runway
+     */
+    function updateConfigDetails() {
+        const reasonsEl = document.getElementById('config-reasons');
+        const windEl = document.getElementById('config-wind-table');
+        const metarEl = document.getElementById('metar-status');
+
+        reasonsEl.innerHTML = configDecision
+            ? configDecision.reasons.map((r) => `<li>${escapeHtml(r)}</li>`).join('')
+            : '<li>Waiting for data...</li>';
+
+        metarEl.textContent = metarError || (metar ? metar.raw : 'Paste a METAR or enter a URL to load one');
+        metarEl.classList.toggle('error', !!metarError);
+
+        const wind = currentWind();
+        if (!wind || wind.direction == null || !airport) {
+            windEl.innerHTML = '';
+            return;
+        }
+
+        const kt = (v) => `${Math.abs(Math.round(v))}kt`;
+        windEl.innerHTML = `
+      <tr><th>Rwy</th><th>Head/Tail</th><th>Cross</th></tr>
+      ${Object.entries(airport.runways)
+          .map(([name, rwy]) => {
+              const c = windComponents(wind, rwy.heading);
+              const gust = wind.gust
+                  ? ` <span class="wind-gust">(${kt(c.peakHeadwind)})</span>`
+                  : '';
+              return `
+        <tr class="${c.headwind < -TAILWIND_LIMIT ? 'tailwind' : ''}">
+          <td>${name}</td>
+          <td>${c.headwind >= 0 ? 'H' : 'T'} ${kt(c.headwind)}${gust}</td>
+          <td>${c.crosswind >= 0 ? 'R' : 'L'} ${kt(c.crosswind)}</td>
+        </tr>`;
+          })
+          .join('')}
+    `;
+    }
+
+    function updateLegend() {
         const container = document.getElementById('legend-items');
-        if (!activeConfig) return;
+        if (!activeConfig) {
+            container.innerHTML = '';
+            return;
+        }
 
-        const runwayNames = CONFIGS[activeConfig];
-        container.innerHTML = runwayNames
-            .map(
-                (name) => `
+        const cfg = airport.configs[activeConfig];
+        const item = (color, label, departing) => {
+            const swatch = departing
+                ? `<span class="legend-shape">${createAircraftSvg(color, 0, true, 12)}</span>`
+                : `<div class="legend-color" style="background: ${color};"></div>`;
+            return `
         <div class="legend-item">
-          <div class="legend-color" style="background: ${RUNWAYS[name].color};"></div>
-          <span>${RUNWAYS[name].label}</span>
+          ${swatch}
+          <span>${label}</span>
         </div>
-      `
-            )
+      `;
+        };
+
+        container.innerHTML =
+            `<div class="legend-section">Arrivals</div>` +
+            cfg.landing.map((name) => item(airport.runways[name].color, airport.runways[name].label, false)).join('') +
+            `<div class="legend-section">Departures</div>` +
+            cfg.departure.map((name) => item(airport.runways[name].color, airport.runways[name].label, true)).join('') +
+            // Add "Other / Unknown"
+            item(NO_RUNWAY_COLOR, 'No prediction', false);
+    }
+
+    function updateStatus(text, isError = false) {
+        const badge = document.getElementById('status-badge');
+        const textEl = document.getElementById('status-text');
+        badge.className = isError ? 'status-badge error' : 'status-badge';
+        textEl.textContent = text;
+    }
+
+    function selectFlight(icao24) {
+        selectedIcao = icao24;
+        pendingSelection = null;
+        updateHash();
+
+        // Center map on aircraft, unless the view is fixed
+        const flight = flights.find((f) => f.icao24 === icao24);
+        if (flight) {
+            if (!kiosk.locked) {
+                map.setView([flight.latitude, flight.longitude], Math.max(map.getZoom(), 11), {
+                    animate: true,
+                    duration: 0.5,
+                });
+            }
+
+            // Open popup
+            const marker = aircraftMarkers.get(icao24);
+            if (marker) marker.openPopup();
+            else if (canvasLayer) openCanvasPopup(flight);
+        }
+
+        renderFlightList(flights);
+        renderProfile();
+    }
+
+    // ========================
+    // Airport Definitions
+    // ========================
+
+    async function loadJson(url) {
+        const res = await fetch(url);
+        if (!res.ok) throw new Error(`HTTP ${res.status} loading ${url}`);
+        return res.json();
+    }
+
+    /**
+     * Switch the tracker to another airport: forget all traffic, move the
+     * map, redraw the runways and fetch fresh data
+     */
+    async function selectAirport(icao) {
+        const entry = airportList.find((a) => a.icao === icao) || airportList[0];
+        updateStatus(`Loading ${entry.name}...`);
+
+        // Recordings and replays belong to one airport
+        stopReplay(false);
+        if (recordingId != null) {
+            recordingId = null;
+            updateRecordButton();
+        }
+
+        try {
+            airport = buildAirport(await loadJson(`${AIRPORTS_DIR}/${entry.file}`));
+        } catch (err) {
+            console.error('Airport load error:', err);
+            updateStatus('Airport data unavailable', true);
+            return;
+        }
+
+        // A kiosk's airport is not the user's choice
+        if (!kiosk.airport) localStorage.setItem('fra-tracker-airport', airport.icao);
+        document.getElementById('airport-select').value = airport.icao;
+        document.title = `${airport.iata} Flight Tracker — Runway Prediction`;
+        document.getElementById('airport-title').textContent = `${airport.iata} Tracker`;
+        document.getElementById('airport-subtitle').textContent = `${airport.name} — Live Runway Prediction`;
+
+        flights = [];
+        activeConfig = null;
+        configDecision = null;
+        configState = createConfigState();
+        approachStates.clear();
+        holdStates.clear();
+        selectedIcao = null;
+        trackHistory.clear();
+        predictionLog.clear();
+        renderStats();
+        renderConfigEvents();
+        updateRunwayFilter();
+
+        if (!map) {
+            initMap();
+        } else {
+            map.setView([airport.reference.lat, airport.reference.lng], 10);
+            drawRunways();
+            updateAircraftOnMap(flights);
+        }
+
+        renderFlightList(flights);
+        updateConfigBadge();
+        updateLegend();
+        updateHash();
+        pollNow();
+        updateMetar();
+    }
+
+    async function initAirports() {
+        try {
+            airportList = await loadJson(`${AIRPORTS_DIR}/index.json`);
+        } catch (err) {
+            console.error('Airport index error:', err);
+            updateStatus('Airport data unavailable', true);
+            return;
+        }
+
+        const select = document.getElementById('airport-select');
+        select.innerHTML = airportList
+            .map((a) => `<option value="${escapeHtml(a.icao)}">${escapeHtml(a.icao)} — ${escapeHtml(a.name)}</option>`)
             .join('');
+        select.addEventListener('change', (e) => selectAirport(e.target.value));
+
+        const linked = readHash().get('airport');
+        await selectAirport(kiosk.airport || linked || localStorage.getItem('fra-tracker-airport') || DEFAULT_AIRPORT);
+        if (map) restoreFromHash();
+    }
+
+    // ========================
+    // Aircraft Metadata
+    // ========================
+
+    /**
+     * Load the aircraft database and airline names. Both are optional:
+     * without them flights just aren't enriched.
+     */
+    async function initAircraftDb() {
+        const url = new URLSearchParams(location.search).get('aircraftdb') || AIRCRAFT_DB;
+        const [db, names] = await Promise.allSettled([
+            fetch(url).then((res) => {
+                if (!res.ok) throw new Error(`HTTP ${res.status} loading ${url}`);
+                return res.text();
+            }),
+            loadJson(AIRLINES_FILE),
+        ]);
+
+        if (db.status === 'fulfilled') {
+            try {
+                aircraftDb = /\.json(\?|$)/i.test(url)
+                    ? parseAircraftJson(JSON.parse(db.value))
+                    : parseAircraftCsv(db.value);
+            } catch (err) {
+                console.error('Aircraft database error:', err);
+            }
+        } else {
+            console.error('Aircraft database error:', db.reason);
+        }
+
+        if (names.status === 'fulfilled') {
+            airlines = names.value;
+        } else {
+            console.error('Airline list error:', names.reason);
+        }
 
-        // Add "Other / Unknown"
-        container.innerHTML += `
-      <div class="legend-item">
-        <div class="legend-color" style="background: #5b6478;"></div>
-        <span>No prediction</span>
-      </div>
-    `;
+        flights.forEach((f) => enrichFlight(f, aircraftDb, airlines));
+        refreshDisplay();
     }
 
-    function updateStatus(text, isError = false) {
-        const badge = document.getElementById('status-badge');
-        const textEl = document.getElementById('status-text');
-        badge.className = isError ? 'status-badge error' : 'status-badge';
-        textEl.textContent = text;
+    const WAKE_LABELS = { L: 'Light', M: 'Medium', H: 'Heavy', J: 'Super' };
+
+    /**
+     * "A359 · D-AIXA · Lufthansa" — whatever is known about the aircraft
+     */
+    function aircraftSummary(f) {
+        return [f.aircraftType, f.registration, f.airline || f.operator].filter(Boolean).join(' · ');
     }
 
-    function selectFlight(icao24) {
-        selectedIcao = icao24;
+    // ========================
+    // Data Sources
+    // ========================
 
-        // Center map on aircraft
-        const flight = flights.find((f) => f.icao24 === icao24);
-        if (flight) {
-            map.setView([flight.latitude, flight.longitude], Math.max(map.getZoom(), 11), {
-                animate: true,
-                duration: 0.5,
-            });
+    // Each adapter describes how to poll one feed:
+    //   url(endpoint, airport) — request URL (endpoint may be empty → default)
+    //   headers()              — optional extra request headers
+    //   snapshot(raw)          — { time, source, states } from the response body;
+    //                            `states` is kept verbatim for recordings
+    // The engine's NORMALIZERS turn `states` into flight objects (see parseStates).
+
+    const DATA_SOURCES = {
+        opensky: {
+            label: 'OpenSky Network',
+            url(endpoint, ap) {
+                const { lamin, lomin, lamax, lomax } = ap.bbox;
+                return `${endpoint || OPENSKY_API}?lamin=${lamin}&lomin=${lomin}&lamax=${lamax}&lomax=${lomax}&extended=1`;
+            },
+            // Registered users get a larger request quota
+            headers() {
+                const { username, password } = dataSource.credentials || {};
+                return username ? { Authorization: `Basic ${btoa(`${username}:${password || ''}`)}` } : {};
+            },
+            snapshot(raw) {
+                return { time: raw.time || nowSeconds(), source: 'opensky', states: raw.states || [] };
+            },
+        },
+        dump1090: {
+            label: 'dump1090 / readsb',
+            url(endpoint) {
+                return endpoint || DUMP1090_ENDPOINT;
+            },
+            snapshot(raw) {
+                return { time: raw.now || nowSeconds(), source: 'dump1090', states: raw.aircraft || [] };
+            },
+        },
+        static: {
+            label: 'Static file / mock',
+            url(endpoint) {
+                return endpoint || STATIC_ENDPOINT;
+            },
+            // Accepts a saved OpenSky response, a dump1090 aircraft.json or a
+            // plain array of flight objects; the time is always "now" so the
+            // data looks live, and OpenSky timestamps are shifted along
+            snapshot(raw) {
+                const time = nowSeconds();
+                if (Array.isArray(raw)) return { time, source: 'static', states: raw };
+                if (raw.aircraft) return { ...DATA_SOURCES.dump1090.snapshot(raw), time };
+
+                const shift = raw.time ? time - raw.time : 0;
+                const states = (raw.states || []).map((st) => {
+                    const copy = st.slice();
+                    if (copy[3] != null) copy[3] += shift;
+                    if (copy[4] != null) copy[4] += shift;
+                    return copy;
+                });
+                return { time, source: 'opensky', states };
+            },
+        },
+    };
 
-            // Open popup
-            const marker = aircraftMarkers.get(icao24);
-            if (marker) marker.openPopup();
+    function nowSeconds() {
+        return Math.floor(Date.now() / 1000);
+    }
+
+    /**
+     * Pick the data source from the query string (?source=dump1090&endpoint=…),
+     * falling back to the last choice made in the UI. The OpenSky login is
+     * only kept in session storage, so the password never reaches disk.
+     */
+    function initDataSource() {
+        let saved = {};
+        let credentials = null;
+        try {
+            saved = JSON.parse(localStorage.getItem('fra-tracker-source')) || {};
+            credentials = JSON.parse(sessionStorage.getItem('fra-tracker-credentials'));
+        } catch {
+            // ignore a corrupt entry
         }
 
-        renderFlightList(flights);
-    }
+        const params = new URLSearchParams(location.search);
+        const id = params.get('source') || saved.id;
+        dataSource = {
+            id: DATA_SOURCES[id] ? id : 'opensky',
+            endpoint: params.get('endpoint') ?? saved.endpoint ?? '',
+            credentials: credentials || null,
+        };
+
+        const select = document.getElementById('source-select');
+        const endpointInput = document.getElementById('source-endpoint');
+        const credentialRow = document.getElementById('source-credentials');
+        const userInput = document.getElementById('opensky-user');
+        const passwordInput = document.getElementById('opensky-password');
+        select.innerHTML = Object.entries(DATA_SOURCES)
+            .map(([key, src]) => `<option value="${key}">${src.label}</option>`)
+            .join('');
 
-    // Expose to global for onclick handlers
-    window.__selectFlight = selectFlight;
+        const syncInputs = () => {
+            select.value = dataSource.id;
+            endpointInput.value = dataSource.endpoint;
+            credentialRow.hidden = dataSource.id !== 'opensky';
+            userInput.value = dataSource.credentials?.username || '';
+            passwordInput.value = dataSource.credentials?.password || '';
+            endpointInput.placeholder = dataSource.id === 'opensky'
+                ? OPENSKY_API
+                : DATA_SOURCES[dataSource.id].url('', airport);
+        };
+        syncInputs();
+
+        const apply = () => {
+            const username = userInput.value.trim();
+            dataSource = {
+                id: select.value,
+                endpoint: endpointInput.value.trim(),
+                credentials: username ? { username, password: passwordInput.value } : null,
+            };
+            const { credentials, ...choice } = dataSource;
+            localStorage.setItem('fra-tracker-source', JSON.stringify(choice));
+            if (credentials) sessionStorage.setItem('fra-tracker-credentials', JSON.stringify(credentials));
+            else sessionStorage.removeItem('fra-tracker-credentials');
+            syncInputs();
+
+            // Tracks from different feeds don't mix
+            trackHistory.clear();
+            predictionLog.clear();
+            polling.failures = 0;
+            polling.retryAt = null;
+            pollNow();
+        };
+        select.addEventListener('change', () => {
+            endpointInput.value = '';
+            apply();
+        });
+        endpointInput.addEventListener('change', apply);
+        userInput.addEventListener('change', apply);
+        passwordInput.addEventListener('change', apply);
+    }
 
     // ========================
     // Data Fetching
     // ========================
 
-    // OpenSky API bounding box for FRA region
-    const OPENSKY_URL = 'https://opensky-network.org/api/states/all?lamin=49.75&lomin=8.05&lamax=50.30&lomax=9.05';
+    /**
+     * Run one snapshot of raw states through the whole pipeline.
+     * Used for live data and for replay; with render = false only the track
+     * history is extended (to rebuild trails when seeking a replay).
+     */
+    function applySnapshot(snapshot, render = true) {
+        const parsed = parseStates(snapshot.states, airport, snapshot);
+        parsed.forEach((f) => enrichFlight(f, aircraftDb, airlines));
+        const airborne = parsed.filter((f) => !f.onGround);
+
+        // Extend each aircraft's track history
+        updateTrackHistory(trackHistory, airborne, snapshot.time);
+        if (!render) return;
+
+        flights = airborne;
+        refreshDisplay();
+
+        // Score predictions against observed landings — not while replaying,
+        // which would count the same landings again
+        if (!replay) {
+            trackLandings(flights, parsed.filter((f) => f.onGround), snapshot.time);
+        }
+    }
+
+    /**
+     * Re-run the predictions on the current flights and update the UI
+     */
+    function refreshDisplay() {
+        if (!airport || !map) return;
+
+        // Run predictions
+        // Smooth the configuration over snapshots; without traffic there
+        // is nothing new to judge it by
+        const tracking = flights.length
+            ? { state: configState, time: clockNow(), hysteresis: configTracking.hysteresis, approaches: approachStates, holds: holdStates }
+            : null;
+        const result = runPredictions(flights, airport, currentWind(), tracking);
+        configDecision = result.decision;
+        activeConfig = tracking ? result.config : configState.config || result.config;
+
+        // Changes and go-arounds seen while replaying were logged when they happened
+        if (result.change && !replay) recordConfigChange(result.change);
+        if (!replay) result.goArounds.forEach(recordGoAround);
+
+        // Update UI
+        updateAlerts();
+        updateHolding();
+        updateAircraftOnMap(flights);
+        renderFlightList(flights);
+        updateConfigBadge();
+        updateLegend();
+        if (activeConfig !== overlayConfig) drawOverlays();
+        renderProfile();
+        updateNoiseWatch();
+
+        // A flight selected in a link, once it is in the data
+        if (pendingSelection && flights.some((f) => f.icao24 === pendingSelection)) {
+            selectFlight(pendingSelection);
+        }
+    }
 
+    /**
+     * Poll the data source once. Returns the delay (ms) until the next
+     * poll, or null if the poll was superseded or not made.
+     */
     async function fetchFlights() {
+        if (!airport || replay) return null;
+        const requestedAirport = airport;
+
+        // Never two requests at once — a newer poll replaces an older one
+        polling.controller?.abort();
+        const controller = new AbortController();
+        polling.controller = controller;
+        let timedOut = false;
+        const timeout = setTimeout(() => {
+            timedOut = true;
+            controller.abort();
+        }, REQUEST_TIMEOUT);
+
         try {
-            const res = await fetch(OPENSKY_URL);
+            const source = DATA_SOURCES[dataSource.id];
+            const res = await fetch(source.url(dataSource.endpoint, airport), {
+                headers: source.headers?.() || {},
+                signal: controller.signal,
+            });
+            if (res.status === 429 || res.status === 503) {
+                const wait = retryAfter(res.headers);
+                throw Object.assign(new Error(`HTTP ${res.status}`), { retryAfter: wait, rateLimited: res.status === 429 });
+            }
             if (!res.ok) throw new Error(`HTTP ${res.status}`);
 
             const raw = await res.json();
 
-            // Parse state vectors into clean objects
-            flights = (raw.states || [])
-                .map((s) => ({
-                    icao24: s[0],
-                    callsign: (s[1] || '').trim(),
-                    country: s[2],
-                    longitude: s[5],
-                    latitude: s[6],
-                    baroAltitude: s[7],
-                    onGround: s[8],
-                    velocity: s[9],
-                    heading: s[10],
-                    verticalRate: s[11],
-                    geoAltitude: s[13],
-                    squawk: s[14],
-                    lastUpdate: s[4],
-                }))
-                .filter((f) => f.latitude != null && f.longitude != null && !f.onGround);
-
-            // Run predictions
-            runPredictions(flights);
-
-            // Update UI
-            updateAircraftOnMap(flights);
-            renderFlightList(flights);
-            updateConfigBadge();
-            updateLegend();
+            // The airport was switched or a replay started while this request was in flight
+            if (airport !== requestedAirport || replay) return null;
+
+            const snapshot = source.snapshot(raw);
+            applySnapshot(snapshot);
+
+            if (recordingId != null) {
+                recordSnapshot(snapshot).catch((err) => console.error('Recording error:', err));
+            }
 
-            const now = new Date();
-            updateStatus(`Live — ${flights.length} aircraft · ${now.toLocaleTimeString()}`);
+            polling.failures = 0;
+            polling.retryAt = null;
+            polling.lastSuccess = Date.now();
+            updateStatus(`Live — ${flights.length} aircraft · ${new Date().toLocaleTimeString()}`);
+            document.getElementById('status-badge').title = source.label;
+            return REFRESH_INTERVAL;
         } catch (err) {
+            if (controller.signal.aborted && !timedOut) return null;
             console.error('Fetch error:', err);
-            updateStatus('Connection error', true);
+
+            polling.failures++;
+            const backoff = Math.min(BACKOFF_MAX, REFRESH_INTERVAL * 2 ** polling.failures);
+            const delay = Math.max(REFRESH_INTERVAL, err.retryAfter ?? backoff);
+            polling.retryAt = Date.now() + delay;
+
+            const reason = timedOut ? 'Timed out' : err.rateLimited ? 'Rate limited' : 'Connection error';
+            const since = polling.lastSuccess ? ` · data ${formatAge((Date.now() - polling.lastSuccess) / 1000)} old` : '';
+            updateStatus(`${reason} — retry in ${formatCountdown(delay / 1000)}${since}`, true);
+            return delay;
+        } finally {
+            clearTimeout(timeout);
+            if (polling.controller === controller) polling.controller = null;
+        }
+    }
+
+    /**
+     * Milliseconds to wait from a Retry-After header (seconds or an HTTP
+     * date) or OpenSky's X-Rate-Limit-Retry-After-Seconds, null if absent
+     */
+    function retryAfter(headers) {
+        const value = headers.get('X-Rate-Limit-Retry-After-Seconds') ?? headers.get('Retry-After');
+        if (value == null) return null;
+        const seconds = Number(value);
+        if (Number.isFinite(seconds)) return seconds * 1000;
+        const date = Date.parse(value);
+        return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+    }
+
+    // ========================
+    // Polling
+    // ========================
+
+    // Polls are chained with timeouts rather than a fixed interval so
+    // failures can back off (see fetchFlights). Polling stops while the tab
+    // is hidden or a replay runs.
+
+    function schedulePoll(delay) {
+        clearTimeout(polling.timer);
+        polling.timer = null;
+        if (delay == null || document.hidden || replay) return;
+        polling.timer = setTimeout(pollNow, delay);
+    }
+
+    /**
+     * Poll right away and carry on from there
+     */
+    async function pollNow() {
+        clearTimeout(polling.timer);
+        polling.timer = null;
+        const delay = await fetchFlights();
+        // A superseded poll leaves the scheduling to the one that replaced it
+        if (delay != null) schedulePoll(delay);
+    }
+
+    function initPolling() {
+        document.addEventListener('visibilitychange', () => {
+            if (replay) return;
+            if (document.hidden) {
+                schedulePoll(null);
+                polling.controller?.abort();
+                updateStatus('Paused while hidden');
+                return;
+            }
+            // Don't come back before a rate limit has passed
+            const wait = polling.retryAt ? polling.retryAt - Date.now() : 0;
+            if (wait > 0) schedulePoll(wait);
+            else pollNow();
+        });
+    }
+
+    // ========================
+    // Export
+    // ========================
+
+    // All current flights with everything derived from them, for
+    // spreadsheets (CSV) and GIS tools (GeoJSON, KML — with the runways and
+    // track history). Serialized by the engine, see flightsToCsv().
+
+    const EXPORT_FORMATS = {
+        csv: { type: 'text/csv', serialize: () => flightsToCsv(flights, activeConfig) },
+        geojson: {
+            type: 'application/geo+json',
+            serialize: () => JSON.stringify(flightsToGeoJson(flights, airport, activeConfig), null, 2),
+        },
+        kml: { type: 'application/vnd.google-earth.kml+xml', serialize: () => flightsToKml(flights, airport, activeConfig) },
+    };
+
+    function exportFlights(format) {
+        const { type, serialize } = EXPORT_FORMATS[format];
+        const date = new Date(clockNow() * 1000).toISOString().slice(0, 19).replace(/[:T]/g, '-');
+        downloadFile(`${airport.icao.toLowerCase()}-traffic-${date}.${format}`, serialize(), type);
+    }
+
+    function initExport() {
+        const panel = document.getElementById('export-panel');
+        document.getElementById('export-toggle').addEventListener('click', () => {
+            panel.hidden = !panel.hidden;
+        });
+        panel.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-format]');
+            if (!button || !airport) return;
+            try {
+                exportFlights(button.dataset.format);
+            } catch (err) {
+                console.error('Export error:', err);
+                updateStatus(`Export failed: ${err.message}`, true);
+            }
+        });
+    }
+
+    // ========================
+    // Deep Links
+    // ========================
+
+    // The view is kept in the URL hash so that a reload or a shared link
+    // shows the same thing:
+    //   #airport=EDDF&map=50.0267,8.5584,11&sel=3c6744&q=rwy:25L&status=arriving&tab=departures
+    // map is lat,lng,zoom; sel the selected icao24, selected as soon as the
+    // flight is in the data; q the search text; rwy, status, alt and conf
+    // the filter selects; tab the sidebar tab.
+    //
+    // Wall displays and embeds take a fixed layout from the query string:
+    //   ?layout=map        map only, no header or sidebar
+    //   ?sidebar=hidden    no sidebar
+    //   ?airport=EDDM      fixed airport, the selector is disabled
+    //   ?lock=1            fixed map view, no panning or zooming
+
+    const HASH_FILTERS = { rwy: 'filter-runway', status: 'filter-status', alt: 'filter-alt', conf: 'filter-conf' };
+
+    function readHash() {
+        return new URLSearchParams(location.hash.slice(1));
+    }
+
+    /**
+     * Write the current view to the hash (debounced) without adding a
+     * history entry
+     */
+    function updateHash() {
+        clearTimeout(hashTimer);
+        hashTimer = setTimeout(() => {
+            if (!map || !airport) return;
+            const center = map.getCenter();
+            const params = new URLSearchParams();
+            params.set('airport', airport.icao);
+            params.set('map', `${center.lat.toFixed(4)},${center.lng.toFixed(4)},${map.getZoom()}`);
+            const sel = selectedIcao || pendingSelection;
+            if (sel) params.set('sel', sel);
+            const query = document.getElementById('search-input').value.trim();
+            if (query) params.set('q', query);
+            Object.entries(HASH_FILTERS).forEach(([key, id]) => {
+                const value = document.getElementById(id).value;
+                if (value) params.set(key, value);
+            });
+            if (listTab !== 'arrivals') params.set('tab', listTab);
+
+            const hash = `#${params.toString()}`;
+            if (hash !== location.hash) history.replaceState(null, '', `${location.pathname}${location.search}${hash}`);
+        }, HASH_UPDATE_DELAY);
+    }
+
+    /**
+     * Apply the view in the hash: map position, search, filters, tab and
+     * the selected flight
+     */
+    function restoreFromHash() {
+        const params = readHash();
+        const sel = params.get('sel');
+
+        // Deselect first — an open popup would pan the map to stay in view
+        if (selectedIcao && selectedIcao !== sel) {
+            selectedIcao = null;
+            map.closePopup();
+        }
+
+        const [lat, lng, zoom] = (params.get('map') || '').split(',').map(Number);
+        if (params.has('map') && [lat, lng, zoom].every(Number.isFinite)) {
+            map.setView([lat, lng], zoom);
+        }
+
+        const search = document.getElementById('search-input');
+        search.value = params.get('q') || '';
+        search.dispatchEvent(new Event('input'));
+
+        Object.entries(HASH_FILTERS).forEach(([key, id]) => {
+            const select = document.getElementById(id);
+            select.value = params.get(key) || '';
+            // Unknown values (e.g. a runway of another airport) fall back to any
+            if (select.selectedIndex < 0) select.value = '';
+        });
+        document.getElementById('filter-runway').dispatchEvent(new Event('change'));
+
+        const tabs = [...document.querySelectorAll('.sidebar-tab')];
+        const tab = tabs.find((t) => t.dataset.tab === params.get('tab')) || tabs.find((t) => t.dataset.tab === 'arrivals');
+        tab.click();
+
+        if (sel && flights.some((f) => f.icao24 === sel)) selectFlight(sel);
+        else pendingSelection = sel;
+    }
+
+    async function onHashChange() {
+        const linked = readHash().get('airport');
+        if (!kiosk.airport && linked && linked !== airport?.icao && airportList.some((a) => a.icao === linked)) {
+            await selectAirport(linked);
+        }
+        if (map) restoreFromHash();
+    }
+
+    function initKiosk() {
+        const params = new URLSearchParams(location.search);
+        kiosk = {
+            airport: params.get('airport')?.toUpperCase() || null,
+            locked: ['1', 'true'].includes(params.get('lock')),
+        };
+
+        const layout = params.get('layout');
+        document.body.classList.toggle('kiosk-map', layout === 'map');
+        document.body.classList.toggle('sidebar-hidden', layout === 'map' || params.get('sidebar') === 'hidden');
+        if (kiosk.airport) document.getElementById('airport-select').disabled = true;
+    }
+
+    // ========================
+    // Recording & Replay
+    // ========================
+
+    // Recordings are kept in IndexedDB: one row per recording in
+    // "recordings", and every raw snapshot in "snapshots" indexed by recording.
+
+    function openRecordingDb() {
+        if (!dbPromise) {
+            dbPromise = new Promise((resolve, reject) => {
+                const req = indexedDB.open(RECORDING_DB, 1);
+                req.onupgradeneeded = () => {
+                    const db = req.result;
+                    db.createObjectStore('recordings', { keyPath: 'id', autoIncrement: true });
+                    db.createObjectStore('snapshots', { autoIncrement: true })
+                        .createIndex('recording', 'recording');
+                };
+                req.onsuccess = () => resolve(req.result);
+                req.onerror = () => reject(req.error);
+            });
+        }
+        return dbPromise;
+    }
+
+    function idbRequest(req) {
+        return new Promise((resolve, reject) => {
+            req.onsuccess = () => resolve(req.result);
+            req.onerror = () => reject(req.error);
+        });
+    }
+
+    function idbDone(tx) {
+        return new Promise((resolve, reject) => {
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+
+    async function createRecording(meta) {
+        const db = await openRecordingDb();
+        const tx = db.transaction('recordings', 'readwrite');
+        const id = await idbRequest(tx.objectStore('recordings').add({ ...meta, snapshots: 0 }));
+        await idbDone(tx);
+        return id;
+    }
+
+    /**
+     * Store snapshots for a recording and keep its count and time span current
+     */
+    async function addSnapshots(id, snapshots) {
+        const db = await openRecordingDb();
+        const tx = db.transaction(['recordings', 'snapshots'], 'readwrite');
+        const recordings = tx.objectStore('recordings');
+        const store = tx.objectStore('snapshots');
+
+        const rec = await idbRequest(recordings.get(id));
+        snapshots.forEach((snap) => {
+            store.add({ recording: id, time: snap.time, source: snap.source, states: snap.states });
+            rec.snapshots++;
+            rec.startTime = Math.min(rec.startTime ?? snap.time, snap.time);
+            rec.endTime = Math.max(rec.endTime ?? snap.time, snap.time);
+        });
+        recordings.put(rec);
+        await idbDone(tx);
+    }
+
+    function recordSnapshot(snapshot) {
+        return addSnapshots(recordingId, [snapshot]);
+    }
+
+    async function listRecordings() {
+        const db = await openRecordingDb();
+        const recs = await idbRequest(db.transaction('recordings').objectStore('recordings').getAll());
+        return recs.sort((a, b) => b.id - a.id);
+    }
+
+    async function loadRecording(id) {
+        const db = await openRecordingDb();
+        const tx = db.transaction(['recordings', 'snapshots']);
+        const rec = await idbRequest(tx.objectStore('recordings').get(id));
+        const snapshots = await idbRequest(tx.objectStore('snapshots').index('recording').getAll(id));
+        snapshots.sort((a, b) => a.time - b.time);
+        return { recording: rec, snapshots };
+    }
+
+    async function deleteRecording(id) {
+        const db = await openRecordingDb();
+        const tx = db.transaction(['recordings', 'snapshots'], 'readwrite');
+        tx.objectStore('recordings').delete(id);
+        const keys = await idbRequest(tx.objectStore('snapshots').index('recording').getAllKeys(id));
+        keys.forEach((key) => tx.objectStore('snapshots').delete(key));
+        await idbDone(tx);
+    }
+
+    async function toggleRecording() {
+        if (recordingId != null) {
+            recordingId = null;
+        } else {
+            recordingId = await createRecording({
+                airport: airport.icao,
+                name: `${airport.icao} ${new Date().toLocaleString()}`,
+                createdAt: Date.now(),
+            });
+        }
+        updateRecordButton();
+        refreshRecordingList();
+    }
+
+    function updateRecordButton() {
+        const btn = document.getElementById('record-toggle');
+        btn.classList.toggle('recording', recordingId != null);
+        btn.disabled = !!replay;
+        document.getElementById('record-label').textContent = recordingId != null ? 'Recording' : 'Record';
+    }
+
+    async function refreshRecordingList() {
+        const select = document.getElementById('replay-recordings');
+        let recs = [];
+        try {
+            recs = await listRecordings();
+        } catch (err) {
+            console.error('Recording list error:', err);
+        }
+
+        select.innerHTML = recs.length
+            ? recs
+                .map((r) => `<option value="${r.id}">${escapeHtml(r.name)} · ${r.snapshots} snapshots</option>`)
+                .join('')
+            : '<option value="">No recordings</option>';
+        if (replay) select.value = replay.recording.id;
+    }
+
+    /**
+     * Export a recording as NDJSON: a header line describing the recording,
+     * then one line per snapshot
+     */
+    async function exportRecording(id) {
+        const { recording, snapshots } = await loadRecording(id);
+        const lines = [
+            JSON.stringify({
+                type: 'recording',
+                airport: recording.airport,
+                name: recording.name,
+                createdAt: recording.createdAt,
+            }),
+            ...snapshots.map((snap) => JSON.stringify({ time: snap.time, source: snap.source, states: snap.states })),
+        ];
+        const date = new Date(recording.createdAt).toISOString().slice(0, 19).replace(/[:T]/g, '-');
+        downloadFile(`${recording.airport.toLowerCase()}-${date}.ndjson`, lines.join('\n') + '\n', 'application/x-ndjson');
+    }
+
+    async function importRecording(file) {
+        const lines = (await file.text()).split('\n').filter((line) => line.trim());
+        const entries = lines.map((line, i) => {
+            try {
+                return JSON.parse(line);
+            } catch {
+                throw new Error(`line ${i + 1} is not valid JSON`);
+            }
+        });
+
+        const header = entries.find((e) => e.type === 'recording') || {};
+        const snapshots = entries.filter((e) => typeof e.time === 'number' && Array.isArray(e.states));
+        if (snapshots.length === 0) throw new Error('no snapshots found');
+
+        const id = await createRecording({
+            airport: header.airport || airport.icao,
+            name: header.name ? `${header.name} (imported)` : file.name,
+            createdAt: header.createdAt || Date.now(),
+        });
+        await addSnapshots(id, snapshots);
+        return id;
+    }
+
+    function downloadFile(name, content, type) {
+        const url = URL.createObjectURL(new Blob([content], { type }));
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = name;
+        document.body.appendChild(a);
+        a.click();
+        a.remove();
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Enter replay mode with a stored recording. Live polling pauses until
+     * the replay is left again.
+     */
+    async function startReplay(id) {
+        const { recording, snapshots } = await loadRecording(id);
+        if (snapshots.length === 0) {
+            updateStatus('Recording is empty', true);
+            return;
+        }
+
+        stopReplay(false);
+        predictionLog.clear();
+        if (!airport || airport.icao !== recording.airport) {
+            await selectAirport(recording.airport);
+        }
+
+        replay = {
+            recording,
+            snapshots,
+            index: 0,
+            time: snapshots[0].time,
+            playing: false,
+            speed: Number(document.getElementById('replay-speed').value) || 1,
+            timer: null,
+        };
+
+        const timeline = document.getElementById('replay-timeline');
+        timeline.min = snapshots[0].time;
+        timeline.max = snapshots[snapshots.length - 1].time;
+
+        seekReplay(snapshots[0].time);
+        updateRecordButton();
+    }
+
+    /**
+     * Leave replay mode and (optionally) return to live data
+     */
+    function stopReplay(resumeLive = true) {
+        if (!replay) return;
+        clearInterval(replay.timer);
+        replay = null;
+
+        trackHistory.clear();
+        configState = createConfigState();
+        approachStates.clear();
+        holdStates.clear();
+        flights = [];
+        updateAircraftOnMap(flights);
+        renderFlightList(flights);
+        updateReplayControls();
+        updateRecordButton();
+
+        if (resumeLive) pollNow();
+    }
+
+    function playReplay() {
+        if (!replay || replay.playing) return;
+        // Start over when play is pressed at the end
+        if (replay.index >= replay.snapshots.length - 1) seekReplay(replay.snapshots[0].time);
+        replay.playing = true;
+        replay.timer = setInterval(replayTick, REPLAY_TICK);
+        updateReplayControls();
+    }
+
+    function pauseReplay() {
+        if (!replay) return;
+        replay.playing = false;
+        clearInterval(replay.timer);
+        replay.timer = null;
+        updateReplayControls();
+    }
+
+    function replayTick() {
+        replay.time += (REPLAY_TICK / 1000) * replay.speed;
+
+        const { snapshots } = replay;
+        while (replay.index + 1 < snapshots.length && snapshots[replay.index + 1].time <= replay.time) {
+            replay.index++;
+            applySnapshot(snapshots[replay.index]);
+        }
+
+        if (replay.index >= snapshots.length - 1) pauseReplay();
+        updateReplayControls();
+    }
+
+    /**
+     * Jump to a point in the recording. Trails are rebuilt from the
+     * snapshots leading up to it.
+     */
+    function seekReplay(time) {
+        const { snapshots } = replay;
+        let index = 0;
+        while (index + 1 < snapshots.length && snapshots[index + 1].time <= time) index++;
+
+        trackHistory.clear();
+        configState = createConfigState();
+        approachStates.clear();
+        holdStates.clear();
+        for (let i = 0; i < index; i++) {
+            if (snapshots[i].time >= time - TRACK_MAX_AGE) applySnapshot(snapshots[i], false);
         }
+
+        replay.index = index;
+        replay.time = time;
+        applySnapshot(snapshots[index]);
+        updateReplayControls();
+    }
+
+    function updateReplayControls() {
+        const active = !!replay;
+        ['replay-play', 'replay-timeline', 'replay-exit'].forEach((id) => {
+            document.getElementById(id).disabled = !active;
+        });
+        document.getElementById('replay-panel').classList.toggle('active', active);
+
+        const playBtn = document.getElementById('replay-play');
+        const timeEl = document.getElementById('replay-time');
+        if (!active) {
+            playBtn.textContent = '▶';
+            timeEl.textContent = '--:--:--';
+            return;
+        }
+
+        playBtn.textContent = replay.playing ? '❚❚' : '▶';
+        document.getElementById('replay-timeline').value = replay.time;
+        const clock = new Date(replay.time * 1000).toLocaleTimeString();
+        timeEl.textContent = clock;
+        updateStatus(`Replay — ${flights.length} aircraft · ${clock}`);
+        document.getElementById('status-badge').classList.add('replay');
+    }
+
+    function initReplay() {
+        document.getElementById('record-toggle').addEventListener('click', () => {
+            toggleRecording().catch((err) => {
+                console.error('Recording error:', err);
+                updateStatus('Recording unavailable', true);
+            });
+        });
+
+        document.getElementById('replay-toggle').addEventListener('click', () => {
+            const panel = document.getElementById('replay-panel');
+            panel.hidden = !panel.hidden;
+            if (!panel.hidden) refreshRecordingList();
+        });
+
+        const selectedRecording = () => Number(document.getElementById('replay-recordings').value) || null;
+
+        document.getElementById('replay-load').addEventListener('click', () => {
+            const id = selectedRecording();
+            if (id != null) startReplay(id).catch((err) => console.error('Replay error:', err));
+        });
+
+        document.getElementById('replay-delete').addEventListener('click', async () => {
+            const id = selectedRecording();
+            if (id == null) return;
+            if (replay && replay.recording.id === id) stopReplay();
+            if (recordingId === id) {
+                recordingId = null;
+                updateRecordButton();
+            }
+            await deleteRecording(id);
+            refreshRecordingList();
+        });
+
+        document.getElementById('replay-export').addEventListener('click', () => {
+            const id = selectedRecording();
+            if (id != null) exportRecording(id).catch((err) => console.error('Export error:', err));
+        });
+
+        document.getElementById('replay-import').addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (!file) return;
+            try {
+                await importRecording(file);
+                await refreshRecordingList();
+            } catch (err) {
+                console.error('Import error:', err);
+                updateStatus(`Import failed: ${err.message}`, true);
+            }
+        });
+
+        document.getElementById('replay-play').addEventListener('click', () => {
+            if (replay && replay.playing) pauseReplay();
+            else playReplay();
+        });
+
+        document.getElementById('replay-speed').addEventListener('change', (e) => {
+            if (replay) replay.speed = Number(e.target.value) || 1;
+        });
+
+        document.getElementById('replay-timeline').addEventListener('input', (e) => {
+            if (replay) seekReplay(Number(e.target.value));
+        });
+
+        document.getElementById('replay-exit').addEventListener('click', () => stopReplay());
+
+        updateReplayControls();
     }
 
     // ========================
@@ -751,22 +3347,80 @@
     // ========================
 
     function init() {
+        // Kiosk / embed layout from the query string
+        initKiosk();
+
         // Theme toggle
         initTheme();
 
-        initMap();
-
-        // Search input
+        // Search input with query syntax, see parseQuery()
         document.getElementById('search-input').addEventListener('input', (e) => {
-            searchFilter = e.target.value;
+            searchQuery = parseQuery(e.target.value);
+            updateAircraftOnMap(flights);
+            renderFlightList(flights);
+            updateHash();
+        });
+
+        // Runway / status / altitude / confidence filters
+        initFilters();
+
+        // Sort order
+        document.getElementById('sort-select').addEventListener('change', (e) => {
+            sortKey = e.target.value;
             renderFlightList(flights);
         });
 
-        // Initial fetch
-        fetchFlights();
+        // Arrivals / departures tabs and the arrivals sequence view
+        initListTabs();
+        initSequence();
 
-        // Auto-refresh
-        setInterval(fetchFlights, REFRESH_INTERVAL);
+        // Landing countdowns and data ages tick between polls
+        setInterval(updateCountdowns, 1000);
+
+        // Markers move on between polls
+        requestAnimationFrame(animateMarkers);
+
+        // Data source picker (OpenSky, local receiver, static file)
+        initDataSource();
+
+        // METAR wind input and configuration details
+        initMetar();
+
+        // Hysteresis, direction change timeline and notifications
+        initConfigTracking();
+
+        // Squawk alert banner, history and watched codes
+        initAlerts();
+
+        // Prediction accuracy panel
+        initStats();
+
+        // Vertical profile chart
+        initProfile();
+
+        // Saved locations and the arrivals about to pass over them
+        initNoiseWatch();
+
+        // Holding stack panel
+        initHolding();
+
+        // CSV / GeoJSON / KML downloads
+        initExport();
+
+        // Recording & replay controls
+        initReplay();
+
+        // Restore links edited in the address bar
+        window.addEventListener('hashchange', onHashChange);
+
+        // Load the airport (creates the map), restore a linked view and run the initial fetch
+        initAirports();
+
+        // Registration, type and airline lookup
+        initAircraftDb();
+
+        // Auto-refresh with backoff, paused while the tab is hidden
+        initPolling();
     }
 
     let currentTileLayer = null;
@@ -797,10 +3451,10 @@
             }
 
             // Redraw runways and airport marker with theme-appropriate colors
-            drawRunways();
+            if (map) drawRunways();
 
             // Refresh aircraft markers with current data
-            if (flights.length) {
+            if (map && flights.length) {
                 updateAircraftOnMap(flights);
             }
         });
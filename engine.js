@@ -0,0 +1,1923 @@
+/* ============================================================
+   FRA Flight Tracker — Runway Prediction Engine
+   ============================================================
+   Pure functions with no DOM access: the same code drives the map in
+   the browser and runs headless in Node, e.g. to batch-evaluate
+   recordings.
+
+     import { predict } from './engine.js';
+     const airportDef = JSON.parse(fs.readFileSync('airports/eddf.json'));
+     const { config, flights } = predict(opensky.states, airportDef, { time: opensky.time });
+   ============================================================ */
+
+// ========================
+// Constants
+// ========================
+
+export const ARRIVING_MAX_ALT = 4000; // meters — only predict for aircraft below this
+export const ARRIVING_MAX_DIST = 80; // km — consider aircraft within this radius
+
+// Track history
+const TRACK_HISTORY_SIZE = 40;   // positions kept per aircraft (~10 min at 15 s polls)
+export const TRACK_MAX_AGE = 600; // seconds — forget aircraft not seen for this long
+const TURN_RATE_WINDOW = 60;     // seconds of history used to estimate the turn rate
+const MAX_TURN_RATE = 4;         // °/s — anything above is treated as noise
+const PROJECTION_HORIZON = 180;  // seconds — how far ahead a turn is projected
+const PROJECTION_STEP = 5;       // seconds per projection step
+const MIN_TURN_RATE = 0.3;       // °/s — slower than this counts as flying straight
+
+// Arrival time estimate
+const INTERCEPT_ANGLE = 30;      // ° — assumed intercept onto the extended centerline
+const MIN_FINAL_LENGTH = 5;      // km — closest-in intercept point
+const ALIGNED_XTD = 0.5;         // km — closer than this counts as established
+const FINAL_APPROACH_SPEED = 72; // m/s (~140kt) — typical speed on short final
+const FINAL_SPEED_DIST = 7.4;    // km (4 NM) — where final approach speed is reached
+
+// Vertical profile
+export const GLIDEPATH_ANGLE = 3; // ° — nominal glide path
+const GLIDEPATH_TCH = 15;        // m — height the glide path crosses the threshold at
+const GLIDEPATH_TOLERANCE = 0.7; // ° — off the glide path by more than this (full-scale ILS deflection) …
+const GLIDEPATH_MIN_DEVIATION = 45; // m — … and this much counts as well above or below it
+const GLIDEPATH_FLAG_DIST = 20;  // km — further out arrivals are usually still below the path, before intercepting it
+
+// Departures
+const DEPARTURE_MAX_DIST = 15;   // km — track points closer than this show which runway was used
+const SECTOR_MIN_DIST = 10;      // km — beyond this the outbound sector is taken from the position
+export const OUTBOUND_SECTORS = ['north', 'east', 'south', 'west'];
+
+// Landings
+export const DISTANCE_BUCKETS = [5, 10, 20, 30, 50, 80]; // km — upper bounds of the prediction log buckets
+const LANDING_MAX_XTD = 0.25;    // km — max distance from a runway centerline
+const LANDING_MAX_THRESHOLD_DIST = 6; // km — how far out on the extended centerline still counts
+
+// Wind
+export const TAILWIND_LIMIT = 5; // kt — max tailwind (incl. gusts) on the preferred config
+const WIND_VOTE_WEIGHT = 3;      // the wind counts as this many aligned arrivals
+
+// Operational rules (see buildAirport)
+const RULE_AVOID_PENALTY = 1;    // score added to runways a rule avoids (≈ km off the centerline)
+const RULE_PREFER_BONUS = 0.3;   // score taken off runways a rule prefers
+const RULE_CONFIDENCE = 0.8;     // confidence kept when a rule changed the pick
+const RULE_EXEMPT_CONFIDENCE = 0.7; // confidence kept for a flight operating while every runway is closed
+const RULE_EFFECTS = ['closed', 'avoid', 'prefer'];
+
+// Configuration tracking
+export const CONFIG_HYSTERESIS = 300;   // seconds a new configuration must be detected before it is confirmed
+
+// Go-arounds
+const GO_AROUND_MAX_HEIGHT = 450;  // m above the airport — an approach below this is watched for a go-around
+const GO_AROUND_MAX_DIST = 10;     // km — how far out on the extended centerline counts as final
+const GO_AROUND_CLIMB_OUT = 5;     // km past the far end of the runway that still counts as climbing out
+const GO_AROUND_MAX_XTD = 1;       // km — max distance from the extended centerline
+const GO_AROUND_CLIMB_RATE = 2.5;  // m/s (~500 ft/min) — climbing at least this fast
+const GO_AROUND_MIN_GAIN = 30;     // m above the lowest point of the approach
+const GO_AROUND_MAX_TRACK_DIFF = 30; // ° off the runway heading while climbing out
+
+// Holding
+const HOLD_WINDOW = 360;         // seconds of history searched for a full turn (a standard lap takes ~4 min)
+const HOLD_MIN_TURN = 330;       // ° turned one way within HOLD_WINDOW
+const HOLD_STILL_TURNING = 150;  // seconds — longer than the longest straight leg …
+const HOLD_STILL_TURN = 90;      // … so a holding flight turned at least this much within them
+const HOLD_MAX_DIAMETER = 20;    // km — a wider turn is vectoring, not a hold
+const HOLD_FIX_RADIUS = 15;      // km from a holding fix a hold is matched to it
+export const HOLD_RELEASE_INTERVAL = 120; // s between aircraft leaving the same stack
+
+// Unit conversions for feeds that don't report SI units
+const FT = 0.3048;               // feet → meters
+const KT = 0.514444;             // knots → m/s
+const FPM = 0.00508;             // ft/min → m/s
+
+// ========================
+// Geometry
+// ========================
+
+export function toRad(deg) { return (deg * Math.PI) / 180; }
+
+export function toDeg(rad) { return (rad * 180) / Math.PI; }
+
+/**
+ * Haversine distance between two lat/lng points in km
+ */
+export function haversine(lat1, lon1, lat2, lon2) {
+    const R = 6371;
+    const dLat = toRad(lat2 - lat1);
+    const dLon = toRad(lon2 - lon1);
+    const a =
+        Math.sin(dLat / 2) ** 2 +
+        Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLon / 2) ** 2;
+    return R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+/**
+ * Calculate bearing from point 1 to point 2 in degrees
+ */
+export function bearing(lat1, lon1, lat2, lon2) {
+    const dLon = toRad(lon2 - lon1);
+    const y = Math.sin(dLon) * Math.cos(toRad(lat2));
+    const x =
+        Math.cos(toRad(lat1)) * Math.sin(toRad(lat2)) -
+        Math.sin(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.cos(dLon);
+    return ((toDeg(Math.atan2(y, x)) % 360) + 360) % 360;
+}
+
+/**
+ * Point reached after travelling distKm along a bearing
+ */
+export function destinationPoint(lat, lon, brng, distKm) {
+    const R = 6371;
+    const d = distKm / R;
+    const theta = toRad(brng);
+    const phi1 = toRad(lat);
+    const phi2 = Math.asin(
+        Math.sin(phi1) * Math.cos(d) + Math.cos(phi1) * Math.sin(d) * Math.cos(theta)
+    );
+    const lambda2 =
+        toRad(lon) +
+        Math.atan2(
+            Math.sin(theta) * Math.sin(d) * Math.cos(phi1),
+            Math.cos(d) - Math.sin(phi1) * Math.sin(phi2)
+        );
+    return { lat: toDeg(phi2), lng: toDeg(lambda2) };
+}
+
+/**
+ * Cross-track distance: perpendicular distance from a point to a great circle
+ * defined by two points (the runway centerline extended).
+ * Returns distance in km.
+ */
+export function crossTrackDistance(pointLat, pointLon, lineLat1, lineLon1, lineLat2, lineLon2) {
+    const R = 6371;
+    const d13 = haversine(lineLat1, lineLon1, pointLat, pointLon) / R; // angular dist
+    const brng13 = toRad(bearing(lineLat1, lineLon1, pointLat, pointLon));
+    const brng12 = toRad(bearing(lineLat1, lineLon1, lineLat2, lineLon2));
+    return Math.abs(Math.asin(Math.sin(d13) * Math.sin(brng13 - brng12))) * R;
+}
+
+/**
+ * Along-track distance: distance from line point 1 to the point on the
+ * great circle closest to the given point, in km (negative = behind point 1)
+ */
+export function alongTrackDistance(pointLat, pointLon, lineLat1, lineLon1, lineLat2, lineLon2) {
+    const R = 6371;
+    const d13 = haversine(lineLat1, lineLon1, pointLat, pointLon) / R;
+    const delta = toRad(bearing(lineLat1, lineLon1, pointLat, pointLon)) -
+        toRad(bearing(lineLat1, lineLon1, lineLat2, lineLon2));
+    const dxt = Math.asin(Math.sin(d13) * Math.sin(delta));
+    const dat = Math.acos(Math.min(1, Math.cos(d13) / Math.cos(dxt))) * R;
+    return Math.cos(delta) < 0 ? -dat : dat;
+}
+
+/**
+ * Normalize angle difference to [-180, 180]
+ */
+export function angleDiff(a, b) {
+    let diff = ((a - b + 180) % 360) - 180;
+    if (diff < -180) diff += 360;
+    return diff;
+}
+
+// ========================
+// Airport Definitions
+// ========================
+
+/**
+ * Turn a declarative airport definition into the lookup tables used by
+ * the prediction engine:
+ *   runways     — per designator: threshold, opposite end, heading, color, label
+ *   configs     — per configuration: landing/departure runways, approach heading
+ *   runwayLines — physical runways for drawing, flagged if used for landing
+ *   rules       — operational rules, see parseRule()
+ *   holdings    — holding fixes arrivals are stacked at: { id, lat, lng }
+ */
+export function buildAirport(def) {
+    const runways = {};
+    const runwayLines = [];
+
+    def.runways.forEach((strip) => {
+        const [[nameA, endA], [nameB, endB]] = Object.entries(strip.ends);
+        [[nameA, endA, endB], [nameB, endB, endA]].forEach(([name, end, other]) => {
+            runways[name] = {
+                threshold: end.threshold,
+                opposite: other.threshold,
+                heading: end.heading,
+                color: end.color,
+                label: `${name} (${strip.description})`,
+            };
+        });
+        runwayLines.push({ from: endA.threshold, to: endB.threshold, label: strip.name, names: [nameA, nameB] });
+    });
+
+    const configs = {};
+    Object.entries(def.configs).forEach(([name, cfg]) => {
+        [...cfg.landing, ...(cfg.departure || [])].forEach((rwy) => {
+            if (!runways[rwy]) throw new Error(`${def.icao}: configuration ${name} uses unknown runway ${rwy}`);
+        });
+        configs[name] = {
+            label: cfg.label,
+            landing: cfg.landing,
+            departure: cfg.departure || [],
+            heading: runways[cfg.landing[0]].heading,
+        };
+    });
+
+    const landingRunways = new Set(Object.values(configs).flatMap((cfg) => cfg.landing));
+    const departureRunways = new Set(Object.values(configs).flatMap((cfg) => cfg.departure));
+    runwayLines.forEach((line) => {
+        line.landing = line.names.some((name) => landingRunways.has(name));
+    });
+
+    // Aircraft climbing along a departure-only runway in either direction
+    // can only be departures
+    const departureOnlyHeadings = [...departureRunways]
+        .filter((name) => !landingRunways.has(name))
+        .flatMap((name) => [runways[name].heading, (runways[name].heading + 180) % 360]);
+
+    return {
+        icao: def.icao,
+        iata: def.iata,
+        name: def.name,
+        reference: def.reference,
+        elevation: def.elevation,
+        timezone: def.timezone || 'UTC',
+        bbox: def.bbox,
+        runways,
+        configs,
+        defaultConfig: def.defaultConfig || Object.keys(configs)[0],
+        runwayLines,
+        departureOnlyHeadings,
+        rules: (def.rules || []).map((rule) => parseRule(rule, def.icao, runways)),
+        holdings: def.holdings || [],
+    };
+}
+
+/**
+ * An operational rule from the airport definition:
+ *   { id, description, effect, runways?, operations?, wake?, hours? }
+ * effect is "closed" (the runway is not used), "avoid" (used only when
+ * the geometry leaves no doubt) or "prefer". The optional conditions
+ * narrow it down to runway ends, to "landing" or "departure", to wake
+ * categories (L/M/H/J — flights of unknown category are not matched) and
+ * to local time ranges like "23:00-05:00" in the airport's timezone.
+ */
+function parseRule(rule, icao, runways) {
+    if (!RULE_EFFECTS.includes(rule.effect)) {
+        throw new Error(`${icao}: rule ${rule.id} has unknown effect ${rule.effect}`);
+    }
+    (rule.runways || []).forEach((rwy) => {
+        if (!runways[rwy]) throw new Error(`${icao}: rule ${rule.id} uses unknown runway ${rwy}`);
+    });
+
+    const minutes = (hhmm) => {
+        const [h, m] = hhmm.split(':').map(Number);
+        return h * 60 + m;
+    };
+
+    return {
+        id: rule.id,
+        description: rule.description || rule.id,
+        effect: rule.effect,
+        runways: rule.runways || null,
+        operations: rule.operations || null,
+        wake: rule.wake || null,
+        hours: rule.hours
+            ? rule.hours.map((range) => range.split('-').map((t) => minutes(t.trim())))
+            : null,
+    };
+}
+
+// ========================
+// State Vectors
+// ========================
+
+// Wake category (L/M/H) by ADS-B emitter category, as OpenSky's numeric
+// category (with extended=1) and as the DO-260 code in aircraft.json.
+// Light is up to 7 t, so "small" (7–34 t) is already medium.
+const OPENSKY_WAKE = { 2: 'L', 3: 'M', 4: 'M', 5: 'M', 6: 'H' };
+const EMITTER_WAKE = { A1: 'L', A2: 'M', A3: 'M', A4: 'M', A5: 'H' };
+
+/**
+ * OpenSky /states/all layout — one array per aircraft, already in SI units
+ */
+export function normalizeOpenSky(states) {
+    return states.map((s) => ({
+        icao24: s[0],
+        callsign: (s[1] || '').trim(),
+        country: s[2],
+        longitude: s[5],
+        latitude: s[6],
+        baroAltitude: s[7],
+        onGround: s[8],
+        velocity: s[9],
+        heading: s[10],
+        verticalRate: s[11],
+        geoAltitude: s[13],
+        squawk: s[14],
+        wake: OPENSKY_WAKE[s[17]] || null,
+        lastUpdate: s[4],
+    }));
+}
+
+/**
+ * dump1090-fa / readsb aircraft.json — feet, knots and ft/min.
+ * Older dump1090 builds use altitude/speed/vert_rate instead of
+ * alt_baro/gs/baro_rate.
+ */
+export function normalizeDump1090(aircraft, time) {
+    const num = (v) => (typeof v === 'number' ? v : null);
+    return aircraft.map((a) => {
+        const altBaro = a.alt_baro ?? a.altitude;
+        const vRate = num(a.baro_rate ?? a.geom_rate ?? a.vert_rate);
+        return {
+            icao24: String(a.hex || '').replace(/^~/, '').toLowerCase(),
+            callsign: (a.flight || '').trim(),
+            country: null,
+            longitude: num(a.lon),
+            latitude: num(a.lat),
+            baroAltitude: num(altBaro) != null ? altBaro * FT : null,
+            onGround: altBaro === 'ground',
+            velocity: num(a.gs ?? a.speed) != null ? (a.gs ?? a.speed) * KT : null,
+            heading: num(a.track),
+            verticalRate: vRate != null ? vRate * FPM : null,
+            geoAltitude: num(a.alt_geom) != null ? a.alt_geom * FT : null,
+            squawk: a.squawk || null,
+            wake: EMITTER_WAKE[a.category] || null,
+            lastUpdate: time - (a.seen_pos ?? a.seen ?? 0),
+        };
+    });
+}
+
+export const NORMALIZERS = {
+    opensky: normalizeOpenSky,
+    dump1090: normalizeDump1090,
+    // Plain flight objects, e.g. a saved list
+    static: (states) => states.map((f) => ({ ...f })),
+};
+
+/**
+ * Flight objects for raw states from one of the NORMALIZERS, limited to
+ * aircraft with a position inside the airport's bounding box (receivers
+ * see much further). Aircraft on the ground are kept.
+ */
+export function parseStates(states, airport, { source = 'opensky', time = nowSeconds() } = {}) {
+    const normalize = NORMALIZERS[source] || NORMALIZERS.opensky;
+    const { lamin, lomin, lamax, lomax } = airport.bbox;
+    return normalize(states || [], time)
+        .filter((f) =>
+            f.latitude != null && f.longitude != null &&
+            f.latitude >= lamin && f.latitude <= lamax &&
+            f.longitude >= lomin && f.longitude <= lomax
+        );
+}
+
+function nowSeconds() {
+    return Math.floor(Date.now() / 1000);
+}
+
+// ========================
+// Aircraft Metadata
+// ========================
+
+// Wake turbulence category by ICAO type designator. Only the exceptions
+// are listed: any other known type counts as medium.
+const SUPER_TYPES = ['A388', 'A225'];
+const HEAVY_TYPES = [
+    'A306', 'A30B', 'A310', 'A332', 'A333', 'A337', 'A338', 'A339', 'A342', 'A343', 'A345', 'A346',
+    'A359', 'A35K', 'B741', 'B742', 'B743', 'B744', 'B748', 'B74S', 'B762', 'B763', 'B764',
+    'B772', 'B773', 'B77L', 'B77W', 'B778', 'B779', 'B788', 'B789', 'B78X', 'DC10', 'MD11',
+    'IL76', 'IL96', 'A400', 'C17', 'C5M', 'K35R', 'A124', 'BLCF', 'BSCA',
+];
+const LIGHT_TYPES = [
+    'C150', 'C152', 'C172', 'C182', 'C206', 'C208', 'C210', 'P28A', 'P28R', 'PA32', 'PA34', 'PA44',
+    'SR20', 'SR22', 'DA20', 'DA40', 'DA42', 'DA62', 'BE36', 'BE58', 'M20P', 'TB20', 'PC12', 'EC35', 'R44',
+];
+
+/**
+ * Wake category (L/M/H/J) for a type designator, null if unknown
+ */
+export function typeWake(type) {
+    if (!type) return null;
+    const code = type.toUpperCase();
+    if (SUPER_TYPES.includes(code)) return 'J';
+    if (HEAVY_TYPES.includes(code)) return 'H';
+    if (LIGHT_TYPES.includes(code)) return 'L';
+    return 'M';
+}
+
+/**
+ * Aircraft database from CSV with a header row, e.g. the OpenSky
+ * aircraftDatabase.csv. Columns are found by name: icao24, registration,
+ * typecode (or type), wake (or wtc, optional) and operator (or owner).
+ * Fields may be quoted with " or '; lines starting with # are skipped.
+ * Returns a Map icao24 → { registration, type, wake, operator }.
+ */
+export function parseAircraftCsv(text) {
+    const rows = text.split(/\r?\n/).filter((line) => line.trim() && !line.startsWith('#')).map(splitCsvLine);
+    const header = (rows.shift() || []).map((h) => h.trim().toLowerCase());
+    const col = (...names) => header.findIndex((h) => names.includes(h));
+    const idx = {
+        icao24: col('icao24', 'hex'),
+        registration: col('registration', 'reg'),
+        type: col('typecode', 'type', 'icaotype'),
+        wake: col('wake', 'wtc'),
+        operator: col('operator', 'owner'),
+    };
+    if (idx.icao24 < 0) throw new Error('Aircraft database has no icao24 column');
+
+    const records = rows.map((row) => {
+        const field = (name) => (idx[name] >= 0 && row[idx[name]] ? row[idx[name]].trim() : null);
+        return {
+            icao24: field('icao24'),
+            registration: field('registration'),
+            type: field('type'),
+            wake: field('wake'),
+            operator: field('operator'),
+        };
+    });
+    return aircraftMap(records);
+}
+
+/**
+ * Aircraft database from JSON: either an object keyed by icao24 or an
+ * array of records with an icao24 field, with the same fields as the CSV
+ */
+export function parseAircraftJson(json) {
+    const records = Array.isArray(json)
+        ? json
+        : Object.entries(json).map(([icao24, record]) => ({ icao24, ...record }));
+    return aircraftMap(records.map((r) => ({ ...r, type: r.type ?? r.typecode ?? null })));
+}
+
+function aircraftMap(records) {
+    const db = new Map();
+    records.forEach(({ icao24, registration, type, wake, operator }) => {
+        if (!icao24) return;
+        db.set(icao24.toLowerCase(), {
+            registration: registration || null,
+            type: type ? type.toUpperCase() : null,
+            wake: wake ? wake.toUpperCase() : typeWake(type),
+            operator: operator || null,
+        });
+    });
+    return db;
+}
+
+function splitCsvLine(line) {
+    const fields = [];
+    let field = '';
+    let quote = null;
+    for (let i = 0; i < line.length; i++) {
+        const c = line[i];
+        if (quote) {
+            if (c === quote && line[i + 1] === quote) {
+                field += c;
+                i++;
+            } else if (c === quote) {
+                quote = null;
+            } else {
+                field += c;
+            }
+        } else if ((c === '"' || c === "'") && field === '') {
+            quote = c;
+        } else if (c === ',') {
+            fields.push(field);
+            field = '';
+        } else {
+            field += c;
+        }
+    }
+    fields.push(field);
+    return fields;
+}
+
+/**
+ * Airline ICAO designator of a callsign like DLH4AB, null for
+ * registrations and other non-airline callsigns
+ */
+export function callsignPrefix(callsign) {
+    const match = /^([A-Z]{3})\d/.exec(callsign || '');
+    return match ? match[1] : null;
+}
+
+/**
+ * Attach registration, type, wake category, operator and airline to a
+ * flight from the aircraft database (Map, see parseAircraftCsv) and the
+ * airline table ({ DLH: 'Lufthansa', ... }). The database's wake category
+ * wins over the one derived from the ADS-B emitter category.
+ */
+export function enrichFlight(flight, aircraftDb = null, airlines = null) {
+    const record = aircraftDb?.get(flight.icao24) || {};
+    const prefix = callsignPrefix(flight.callsign);
+    flight.registration = record.registration || null;
+    flight.aircraftType = record.type || null;
+    flight.wake = record.wake || flight.wake || null;
+    flight.operator = record.operator || null;
+    flight.airline = (prefix && airlines?.[prefix]) || null;
+    return flight;
+}
+
+// ========================
+// Squawk Alerts
+// ========================
+
+// Transponder codes that always raise an alert
+export const EMERGENCY_SQUAWKS = {
+    7700: 'General emergency',
+    7600: 'Radio failure',
+    7500: 'Unlawful interference',
+};
+
+/**
+ * The alert for a flight's squawk: the emergency codes plus any codes in
+ * `watched` ({ code: label }). Returns { code, label, emergency } or null.
+ */
+export function squawkAlert(flight, watched = {}) {
+    const code = flight.squawk ? String(flight.squawk).padStart(4, '0') : null;
+    if (!code) return null;
+    if (EMERGENCY_SQUAWKS[code]) return { code, label: EMERGENCY_SQUAWKS[code], emergency: true };
+    if (watched[code] != null) return { code, label: watched[code] || `Squawk ${code}`, emergency: false };
+    return null;
+}
+
+// ========================
+// Wind
+// ========================
+
+/**
+ * Parse the station and wind group of a METAR,
+ * e.g. "EDDF 191020Z 25012G22KT 220V280 9999 ..."
+ * Speeds are converted to knots; direction is null for VRB.
+ * Returns null if there is no wind group.
+ */
+export function parseMetar(text) {
+    const raw = text.trim().replace(/\s+/g, ' ');
+    const wind = raw.match(/\b(\d{3}|VRB)(\d{2,3})(?:G(\d{2,3}))?(KT|MPS|KMH)\b/);
+    if (!wind) return null;
+
+    const toKt = { KT: 1, MPS: 1.943844, KMH: 0.539957 }[wind[4]];
+    const station = raw.match(/^(?:(?:METAR|SPECI) )?(?:COR )?([A-Z]{4}) /);
+    const range = raw.match(/\b(\d{3})V(\d{3})\b/);
+
+    return {
+        raw,
+        station: station ? station[1] : null,
+        direction: wind[1] === 'VRB' ? null : Number(wind[1]),
+        speed: Math.round(Number(wind[2]) * toKt),
+        gust: wind[3] ? Math.round(Number(wind[3]) * toKt) : null,
+        range: range ? [Number(range[1]), Number(range[2])] : null,
+    };
+}
+
+export function formatWind(wind) {
+    if (wind.speed === 0) return 'Calm';
+    const dir = wind.direction == null ? 'VRB' : `${String(wind.direction).padStart(3, '0')}°`;
+    return `${dir}/${wind.speed}${wind.gust ? `G${wind.gust}` : ''}kt`;
+}
+
+/**
+ * Headwind (negative = tailwind) and crosswind (positive = from the
+ * right) components in knots for a runway heading, for the mean wind and
+ * for the gusts. Null when the direction is variable.
+ */
+export function windComponents(wind, heading) {
+    if (!wind || wind.direction == null) return null;
+    const angle = toRad(wind.direction - heading);
+    const peak = wind.gust || wind.speed;
+    return {
+        headwind: wind.speed * Math.cos(angle),
+        crosswind: wind.speed * Math.sin(angle),
+        peakHeadwind: peak * Math.cos(angle),
+        peakCrosswind: peak * Math.sin(angle),
+    };
+}
+
+/**
+ * The configuration the wind asks for: the preferred configuration as long
+ * as its tailwind (including gusts) stays within TAILWIND_LIMIT, otherwise
+ * the one with the most headwind. Null if the wind gives no direction.
+ */
+export function windPreferredConfig(wind, airport) {
+    if (!wind || wind.direction == null) return null;
+
+    const tailwind = (name) => {
+        const c = windComponents(wind, airport.configs[name].heading);
+        return Math.max(0, -Math.min(c.headwind, c.peakHeadwind));
+    };
+
+    const preferred = airport.defaultConfig;
+    const preferredLabel = airport.configs[preferred].label;
+    if (tailwind(preferred) <= TAILWIND_LIMIT) {
+        const c = windComponents(wind, airport.configs[preferred].heading);
+        const detail = tailwind(preferred) > 0
+            ? `${Math.round(tailwind(preferred))}kt tailwind on ${preferredLabel}, within the ${TAILWIND_LIMIT}kt limit`
+            : `${Math.round(c.headwind)}kt headwind for ${preferredLabel}`;
+        return { config: preferred, reason: `Wind ${formatWind(wind)}: ${detail}` };
+    }
+
+    const best = Object.keys(airport.configs).reduce((a, b) =>
+        windComponents(wind, airport.configs[b].heading).headwind >
+        windComponents(wind, airport.configs[a].heading).headwind ? b : a
+    );
+    const headwind = Math.round(windComponents(wind, airport.configs[best].heading).headwind);
+    return {
+        config: best,
+        reason: `Wind ${formatWind(wind)}: ${Math.round(tailwind(preferred))}kt tailwind on ${preferredLabel}, ` +
+            `${headwind}kt headwind for ${airport.configs[best].label}`,
+    };
+}
+
+// ========================
+// Track History
+// ========================
+
+/**
+ * Fixed-size ring buffer of past positions for one aircraft
+ */
+function createTrack() {
+    return { points: new Array(TRACK_HISTORY_SIZE), head: 0, size: 0, lastSeen: 0 };
+}
+
+function pushTrackPoint(track, point) {
+    track.points[track.head] = point;
+    track.head = (track.head + 1) % TRACK_HISTORY_SIZE;
+    track.size = Math.min(track.size + 1, TRACK_HISTORY_SIZE);
+}
+
+function lastTrackPoint(track) {
+    if (track.size === 0) return null;
+    return track.points[(track.head - 1 + TRACK_HISTORY_SIZE) % TRACK_HISTORY_SIZE];
+}
+
+/**
+ * Track points ordered oldest → newest
+ */
+function getTrackPoints(track) {
+    const start = (track.head - track.size + TRACK_HISTORY_SIZE) % TRACK_HISTORY_SIZE;
+    const points = [];
+    for (let i = 0; i < track.size; i++) {
+        points.push(track.points[(start + i) % TRACK_HISTORY_SIZE]);
+    }
+    return points;
+}
+
+/**
+ * Append the current positions to each aircraft's history, attach the
+ * history to the flight objects and forget aircraft not seen for a while.
+ * `now` is in unix seconds.
+ */
+export function updateTrackHistory(history, flights, now) {
+    flights.forEach((f) => {
+        let track = history.get(f.icao24);
+        if (!track) {
+            track = createTrack();
+            history.set(f.icao24, track);
+        }
+
+        // OpenSky repeats the last state vector until a new position arrives
+        const t = f.lastUpdate || now;
+        const last = lastTrackPoint(track);
+        if (!last || t > last.t) {
+            pushTrackPoint(track, {
+                lat: f.latitude,
+                lng: f.longitude,
+                alt: f.baroAltitude,
+                heading: f.heading,
+                t,
+            });
+        }
+
+        track.lastSeen = now;
+        f.track = getTrackPoints(track);
+    });
+
+    for (const [icao, track] of history) {
+        if (now - track.lastSeen > TRACK_MAX_AGE) {
+            history.delete(icao);
+        }
+    }
+}
+
+/**
+ * Estimate the current ground track (°) and turn rate (°/s, positive =
+ * turning right) from the recent position history.
+ * Returns null when there is not enough history.
+ */
+export function estimateMotion(points) {
+    if (!points || points.length < 2) return null;
+
+    const newest = points[points.length - 1];
+    const recent = points.filter((p) => newest.t - p.t <= TURN_RATE_WINDOW);
+
+    // Ground track of each leg between consecutive fixes, stamped at its midpoint
+    const legs = [];
+    for (let i = 1; i < recent.length; i++) {
+        const a = recent[i - 1];
+        const b = recent[i];
+        if (b.t <= a.t || haversine(a.lat, a.lng, b.lat, b.lng) < 0.1) continue;
+        legs.push({ track: bearing(a.lat, a.lng, b.lat, b.lng), t: (a.t + b.t) / 2 });
+    }
+    if (legs.length === 0) return null;
+
+    const first = legs[0];
+    const last = legs[legs.length - 1];
+
+    let turnRate = 0;
+    if (legs.length > 1 && last.t > first.t) {
+        turnRate = angleDiff(last.track, first.track) / (last.t - first.t);
+        turnRate = Math.max(-MAX_TURN_RATE, Math.min(MAX_TURN_RATE, turnRate));
+    }
+
+    // A leg's bearing lags the turn by half a leg — bring it up to the newest fix
+    const track = (((last.track + turnRate * (newest.t - last.t)) % 360) + 360) % 360;
+
+    return { track, turnRate };
+}
+
+/**
+ * Project a turning aircraft forward until its track lines up with the
+ * given runway heading, i.e. where it rolls out onto final.
+ * Returns null if it is not turning, is turning away from that heading,
+ * or would not line up within the projection horizon.
+ */
+export function projectRollout(flight, motion, targetHeading) {
+    if (!motion || flight.velocity == null) return null;
+    if (Math.abs(motion.turnRate) < MIN_TURN_RATE) return null;
+
+    let diff = angleDiff(targetHeading, motion.track);
+    if (Math.sign(diff) !== Math.sign(motion.turnRate)) return null;
+
+    let lat = flight.latitude;
+    let lng = flight.longitude;
+    let track = motion.track;
+    const stepKm = (flight.velocity * PROJECTION_STEP) / 1000;
+
+    for (let t = PROJECTION_STEP; t <= PROJECTION_HORIZON; t += PROJECTION_STEP) {
+        const turn = motion.turnRate * PROJECTION_STEP;
+        track = Math.abs(turn) >= Math.abs(diff) ? targetHeading : track + turn;
+        ({ lat, lng } = destinationPoint(lat, lng, track, stepKm));
+
+        diff = angleDiff(targetHeading, track);
+        if (Math.abs(diff) < 0.5) {
+            return { lat, lng, track: targetHeading, time: t };
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Where a flight is `seconds` after its last fix if it carries on at its
+ * current speed, heading and vertical rate: { lat, lng, alt }
+ */
+export function deadReckon(flight, seconds) {
+    const { latitude: lat, longitude: lng, baroAltitude: alt } = flight;
+    if (!(seconds > 0) || !flight.velocity || flight.heading == null) return { lat, lng, alt };
+
+    const pos = destinationPoint(lat, lng, flight.heading, (flight.velocity * seconds) / 1000);
+    return { ...pos, alt: alt != null ? alt + (flight.verticalRate || 0) * seconds : null };
+}
+
+// ========================
+// Runway Prediction
+// ========================
+
+/**
+ * Detect the active runway configuration from the wind and the headings
+ * of arriving aircraft. The wind counts as WIND_VOTE_WEIGHT aircraft, so
+ * a few observed arrivals outweigh it.
+ * Returns { config, votes, reasons } — reasons explain the decision.
+ */
+export function detectConfiguration(flights, airport, wind) {
+    // Look at aircraft that are low, descending, and close
+    const candidates = flights.filter(
+        (f) =>
+            f.baroAltitude != null &&
+            f.baroAltitude < ARRIVING_MAX_ALT &&
+            f.heading != null &&
+            f.verticalRate != null &&
+            f.verticalRate < -1 &&
+            f.distanceToAirport < ARRIVING_MAX_DIST
+    );
+
+    const votes = {};
+    Object.keys(airport.configs).forEach((name) => { votes[name] = 0; });
+
+    candidates.forEach((f) => {
+        Object.entries(airport.configs).forEach(([name, cfg]) => {
+            if (Math.abs(angleDiff(f.heading, cfg.heading)) < 40) votes[name]++;
+        });
+    });
+
+    const reasons = [];
+    const scores = { ...votes };
+
+    const windChoice = windPreferredConfig(wind, airport);
+    if (windChoice) {
+        scores[windChoice.config] += WIND_VOTE_WEIGHT;
+        reasons.push(windChoice.reason);
+    } else {
+        reasons.push(wind ? 'Wind direction variable — no wind preference' : 'No wind data');
+    }
+
+    if (candidates.length === 0) {
+        reasons.push('No arriving traffic to confirm');
+    } else {
+        Object.entries(votes).forEach(([name, count]) => {
+            if (count > 0) {
+                reasons.push(`${count} of ${candidates.length} arrivals aligned with ${airport.configs[name].label}`);
+            }
+        });
+    }
+
+    // Ties go to the wind's choice, then to the preferred configuration
+    const config = Object.keys(scores).reduce(
+        (best, name) => (scores[name] > scores[best] ? name : best),
+        windChoice ? windChoice.config : airport.defaultConfig
+    );
+
+    if (!windChoice && candidates.length === 0) {
+        reasons.push(`Falling back to preferred ${airport.configs[config].label}`);
+    }
+
+    return { config, votes, reasons };
+}
+
+/**
+ * Determine if a flight is likely DEPARTING (vs arriving or overflying)
+ * Returns true if the flight appears to be a departure
+ */
+export function isDeparting(flight, airport) {
+    if (flight.distanceToAirport == null || flight.baroAltitude == null) return false;
+
+    // 1. Aircraft close to airport and climbing = departing
+    if (flight.distanceToAirport < 30 &&
+        flight.verticalRate != null && flight.verticalRate > 2) {
+        return true;
+    }
+
+    // 2. Very low altitude, very close, and climbing = definitely departing
+    if (flight.distanceToAirport < 15 &&
+        flight.baroAltitude < 1500 &&
+        flight.verticalRate != null && flight.verticalRate > 0.5) {
+        return true;
+    }
+
+    // 3. Close to airport, low, and heading aligned with a runway that is
+    //    only ever used for departures (e.g. FRA 18/36, ~180/360°)
+    if (flight.distanceToAirport < 25 &&
+        flight.baroAltitude < 2000 &&
+        flight.heading != null) {
+        const aligned = airport.departureOnlyHeadings.some(
+            (h) => Math.abs(angleDiff(flight.heading, h)) < 25
+        );
+        if (aligned && flight.verticalRate != null && flight.verticalRate > 0) {
+            return true;
+        }
+    }
+
+    // 4. Check if aircraft is moving AWAY from airport at low altitude
+    //    Bearing from airport to aircraft vs aircraft heading should be similar
+    //    (within ~40°) if departing
+    if (flight.distanceToAirport < 40 &&
+        flight.baroAltitude < 3000 &&
+        flight.heading != null &&
+        flight.verticalRate != null && flight.verticalRate > 1) {
+        const bearingToAircraft = bearing(airport.reference.lat, airport.reference.lng, flight.latitude, flight.longitude);
+        const diff = Math.abs(angleDiff(flight.heading, bearingToAircraft));
+        // If heading roughly matches bearing FROM airport → moving away = departing
+        if (diff < 40) {
+            return true;
+        }
+    }
+
+    return false;
+}
+
+/**
+ * Determine if a flight looks like it is arriving at the airport
+ */
+export function isArriving(flight, airport) {
+    if (flight.baroAltitude == null || flight.heading == null) return false;
+    if (flight.distanceToAirport > ARRIVING_MAX_DIST) return false;
+    if (flight.baroAltitude > ARRIVING_MAX_ALT) return false;
+
+    // Must NOT be identified as departing
+    if (isDeparting(flight, airport)) return false;
+
+    // Must be descending or at least level (not significantly climbing)
+    if (flight.verticalRate != null && flight.verticalRate > 3) return false;
+
+    // Heading should be roughly aligned with one of the landing runway headings
+    const aligned = Object.values(airport.configs).some(
+        (cfg) => Math.abs(angleDiff(flight.heading, cfg.heading)) <= 50
+    );
+    if (!aligned) return false;
+
+    // Aircraft should be approaching (bearing TO airport from aircraft
+    // should be roughly aligned with aircraft heading)
+    if (flight.distanceToAirport > 5) {
+        const bearingToAirport = bearing(flight.latitude, flight.longitude, airport.reference.lat, airport.reference.lng);
+        const approachDiff = Math.abs(angleDiff(flight.heading, bearingToAirport));
+        if (approachDiff > 70) return false;
+    }
+
+    return true;
+}
+
+/**
+ * Predict runway for a single flight
+ */
+export function predictRunway(flight, airport, config) {
+    const activeRunways = airport.configs[config].landing;
+
+    // Only predict for aircraft classified as arriving
+    if (!flight.isArriving) {
+        return { runway: null, confidence: 0, rules: [] };
+    }
+
+    const rwyHeading = airport.configs[config].heading;
+
+    // Prefer the ground track from the history over the single heading
+    // sample, and if the aircraft is turning onto final, judge it from
+    // where it will roll out on the extended centerline
+    const motion = estimateMotion(flight.track);
+    const rollout = projectRollout(flight, motion, rwyHeading);
+    const pos = rollout || { lat: flight.latitude, lng: flight.longitude };
+    const track = rollout ? rollout.track : motion ? motion.track : flight.heading;
+    const headingDiff = Math.abs(angleDiff(track, rwyHeading));
+
+    let scores = {};
+
+    activeRunways.forEach((rwyName) => {
+        const rwy = airport.runways[rwyName];
+
+        // 1. Cross-track distance to extended centerline
+        const xtd = crossTrackDistance(
+            pos.lat, pos.lng,
+            rwy.threshold.lat, rwy.threshold.lng,
+            rwy.opposite.lat, rwy.opposite.lng
+        );
+
+        // 2. Heading alignment penalty
+        const headingPenalty = Math.abs(angleDiff(track, rwy.heading)) / 180;
+
+        // Combined score (lower is better)
+        scores[rwyName] = xtd + headingPenalty * 5;
+    });
+
+    // 3. Operational rules: closed runways drop out, others are weighted
+    const geometricBest = lowestScore(scores);
+    const ruled = applyRules(scores, airport, flight, 'landing');
+    scores = ruled.scores;
+    const bestRunway = lowestScore(scores);
+    const bestScore = scores[bestRunway];
+
+    // Confidence: based on how much better the best is vs the other
+    const scoreValues = Object.values(scores);
+    const otherScore = scoreValues.find((s) => s !== bestScore) || bestScore;
+    const separation = otherScore - bestScore;
+
+    // Higher separation → higher confidence
+    let confidence = Math.min(1, 0.5 + separation * 0.5);
+
+    // Boost confidence if aircraft is very close and well aligned
+    if (flight.distanceToAirport < 20 && headingDiff < 10) {
+        confidence = Math.min(1, confidence + 0.2);
+    }
+
+    // Reduce confidence if aircraft is far away
+    if (flight.distanceToAirport > 50) {
+        confidence *= 0.6;
+    } else if (flight.distanceToAirport > 30) {
+        confidence *= 0.8;
+    }
+
+    // Boost if descending
+    if (flight.verticalRate != null && flight.verticalRate < -2) {
+        confidence = Math.min(1, confidence + 0.1);
+    }
+
+    // A projected intercept gets less certain the further ahead it lies
+    if (rollout) {
+        confidence *= 1 - (rollout.time / PROJECTION_HORIZON) * 0.3;
+    }
+
+    // The geometry points elsewhere
+    if (bestRunway !== geometricBest) confidence *= RULE_CONFIDENCE;
+    // Flying while every runway is closed, e.g. a curfew exemption
+    if (ruled.exempt) confidence *= RULE_EXEMPT_CONFIDENCE;
+
+    return { runway: bestRunway, confidence, rules: rulesFor(ruled.applied, bestRunway, geometricBest) };
+}
+
+/**
+ * Remaining track distance (km), time to threshold (s) and ETA (unix s)
+ * for an arrival with a predicted runway. The assumed path joins the
+ * extended centerline at INTERCEPT_ANGLE (no closer in than
+ * MIN_FINAL_LENGTH) and follows it to the threshold.
+ */
+export function estimateArrival(flight, airport) {
+    const rwy = airport.runways[flight.predictedRunway];
+    if (!rwy || !flight.velocity) {
+        return { remainingDistance: null, timeToThreshold: null, eta: null };
+    }
+
+    const { latitude: lat, longitude: lng } = flight;
+    const { start, end } = runwayEnds(rwy);
+    const xtd = crossTrackDistance(lat, lng, start.lat, start.lng, end.lat, end.lng);
+    // Positive on the approach side of the threshold
+    const along = -alongTrackDistance(lat, lng, start.lat, start.lng, end.lat, end.lng);
+
+    let remaining;
+    if (xtd < ALIGNED_XTD && along > 0) {
+        remaining = along;
+    } else {
+        const interceptAlong = Math.max(along - xtd / Math.tan(toRad(INTERCEPT_ANGLE)), MIN_FINAL_LENGTH);
+        const intercept = destinationPoint(start.lat, start.lng, (rwy.heading + 180) % 360, interceptAlong);
+        remaining = haversine(lat, lng, intercept.lat, intercept.lng) + interceptAlong;
+    }
+
+    const time = timeToFly(remaining, flight.velocity);
+    return {
+        remainingDistance: remaining,
+        timeToThreshold: time,
+        eta: (flight.lastUpdate || Date.now() / 1000) + time,
+    };
+}
+
+/**
+ * Flying time (s) over distKm starting at ground speed v0 (m/s). Speed
+ * drops linearly with distance to the final approach speed, which is
+ * reached FINAL_SPEED_DIST before the threshold.
+ */
+export function timeToFly(distKm, v0) {
+    const vApp = Math.min(FINAL_APPROACH_SPEED, v0);
+    const d = distKm * 1000;
+    const dFinal = FINAL_SPEED_DIST * 1000;
+
+    if (d <= dFinal) return d / ((v0 + vApp) / 2);
+
+    const decel = d - dFinal;
+    const tDecel = v0 - vApp < 0.1
+        ? decel / v0
+        : (decel * Math.log(v0 / vApp)) / (v0 - vApp);
+    return tDecel + dFinal / vApp;
+}
+
+/**
+ * The ends of a runway ordered in its direction of travel, whichever of
+ * them the definition calls the threshold
+ */
+export function runwayEnds(rwy) {
+    const forward = Math.abs(angleDiff(
+        bearing(rwy.threshold.lat, rwy.threshold.lng, rwy.opposite.lat, rwy.opposite.lng),
+        rwy.heading
+    )) < 90;
+    return forward
+        ? { start: rwy.threshold, end: rwy.opposite }
+        : { start: rwy.opposite, end: rwy.threshold };
+}
+
+/**
+ * Predict the runway a departure took off from and the sector it is
+ * heading out to. The runway is judged from the earliest fix close to the
+ * airport, where the aircraft is still on the runway heading; candidates
+ * are all runways in use in the configuration, as parallels are often
+ * used in mixed mode.
+ */
+export function predictDeparture(flight, airport, config) {
+    if (!flight.isDeparting) {
+        return { runway: null, confidence: 0, sector: null, rules: [] };
+    }
+
+    const cfg = airport.configs[config];
+    const candidates = [...new Set([...cfg.departure, ...cfg.landing])];
+
+    // Earliest fix after lift-off, with the ground track towards the next one
+    const points = flight.track || [];
+    const ref = airport.reference;
+    const first = points.findIndex((p) => haversine(p.lat, p.lng, ref.lat, ref.lng) < DEPARTURE_MAX_DIST);
+    let pos = { lat: flight.latitude, lng: flight.longitude };
+    let track = estimateMotion(points)?.track ?? flight.heading;
+    if (first >= 0 && first < points.length - 1) {
+        const a = points[first];
+        const b = points[first + 1];
+        pos = a;
+        if (haversine(a.lat, a.lng, b.lat, b.lng) >= 0.1) track = bearing(a.lat, a.lng, b.lat, b.lng);
+    }
+
+    let scores = {};
+
+    candidates.forEach((rwyName) => {
+        const rwy = airport.runways[rwyName];
+        const { start, end } = runwayEnds(rwy);
+
+        // Must be ahead of where the take-off roll started
+        if (alongTrackDistance(pos.lat, pos.lng, start.lat, start.lng, end.lat, end.lng) < 0) return;
+
+        const xtd = crossTrackDistance(pos.lat, pos.lng, start.lat, start.lng, end.lat, end.lng);
+        const headingPenalty = track != null ? Math.abs(angleDiff(track, rwy.heading)) / 180 : 0;
+        scores[rwyName] = xtd + headingPenalty * 5;
+    });
+
+    const geometricBest = lowestScore(scores);
+    const ruled = applyRules(scores, airport, flight, 'departure');
+    scores = ruled.scores;
+    const bestRunway = lowestScore(scores);
+    const bestScore = scores[bestRunway];
+
+    const sector = outboundSector(flight, airport);
+    if (!bestRunway) return { runway: null, confidence: 0, sector, rules: [] };
+
+    // Confidence from the margin over the runner-up
+    const others = Object.values(scores).filter((s) => s !== bestScore);
+    const runnerUp = others.length ? Math.min(...others) : bestScore;
+    let confidence = Math.min(1, 0.5 + (runnerUp - bestScore) * 0.5);
+
+    // Evidence from further out, or after the aircraft has turned, is weaker
+    const evidenceDist = haversine(pos.lat, pos.lng, ref.lat, ref.lng);
+    if (evidenceDist > DEPARTURE_MAX_DIST) confidence *= 0.6;
+    if (track != null && Math.abs(angleDiff(track, airport.runways[bestRunway].heading)) > 30) {
+        confidence *= 0.7;
+    }
+    if (bestRunway !== geometricBest) confidence *= RULE_CONFIDENCE;
+    if (ruled.exempt) confidence *= RULE_EXEMPT_CONFIDENCE;
+
+    return { runway: bestRunway, confidence, sector, rules: rulesFor(ruled.applied, bestRunway, geometricBest) };
+}
+
+/**
+ * Outbound direction of a departure, one of OUTBOUND_SECTORS: from the
+ * bearing out of the airport once clear of it, from the track before that
+ */
+export function outboundSector(flight, airport) {
+    let direction;
+    if (flight.distanceToAirport >= SECTOR_MIN_DIST) {
+        direction = bearing(airport.reference.lat, airport.reference.lng, flight.latitude, flight.longitude);
+    } else {
+        direction = estimateMotion(flight.track)?.track ?? flight.heading;
+    }
+    if (direction == null) return null;
+    return OUTBOUND_SECTORS[Math.round(direction / 90) % 4];
+}
+
+/**
+ * Classify all flights, detect the active configuration and predict a
+ * runway and arrival time for each arrival, and a runway and outbound
+ * sector for each departure. Flights are annotated in place.
+ *
+ * Without `tracking` the configuration is whatever this snapshot's
+ * traffic and wind say. With `tracking` = { state, time, hysteresis } it
+ * is smoothed by updateConfigState(), and while in transition each
+ * arrival is predicted on the configuration its track is aligned with.
+ * If tracking also has an `approaches` Map, arrivals are watched for
+ * go-arounds (see updateApproaches), and with a `holds` Map flights in a
+ * holding pattern are found (see updateHolds). Those count as arrivals
+ * but get no runway or arrival time until they leave the hold.
+ *
+ * Returns { config, decision, flights, phase, change, goArounds }.
+ */
+export function runPredictions(flights, airport, wind = null, tracking = null) {
+    if (tracking?.holds) updateHolds(tracking.holds, flights, airport, tracking.time);
+
+    // Add distance to airport and classify each flight
+    flights.forEach((f) => {
+        f.distanceToAirport = haversine(f.latitude, f.longitude, airport.reference.lat, airport.reference.lng);
+        f.holding = f.holding || null;
+        f.isDeparting = !f.holding && isDeparting(f, airport);
+        f.isArriving = !!f.holding || isArriving(f, airport);
+    });
+
+    // Detect active configuration (only from arriving aircraft; a hold points every way)
+    const decision = detectConfiguration(flights.filter(f => (f.isArriving || !f.isDeparting) && !f.holding), airport, wind);
+
+    let config = decision.config;
+    let phase = 'stable';
+    let change = null;
+    if (tracking) {
+        const { state, time, hysteresis = CONFIG_HYSTERESIS } = tracking;
+        change = updateConfigState(state, decision, time, hysteresis);
+        config = state.config;
+        phase = state.phase;
+    }
+
+    // Predict for each flight
+    flights.forEach((f) => {
+        const arrivalConfig = phase === 'transition' ? alignedConfig(f, airport, config) : config;
+        const prediction = predictRunway(f, airport, arrivalConfig);
+        f.predictedRunway = prediction.runway;
+        f.confidence = prediction.confidence;
+        Object.assign(f, estimateArrival(f, airport));
+        f.glidepath = glidepathDeviation(f, airport);
+
+        const departure = predictDeparture(f, airport, config);
+        f.departureRunway = departure.runway;
+        f.departureConfidence = departure.confidence;
+        f.outboundSector = departure.sector;
+        f.rules = f.isDeparting ? departure.rules : prediction.rules;
+
+        if (f.holding) {
+            Object.assign(f, { predictedRunway: null, confidence: 0, remainingDistance: null, timeToThreshold: null, eta: null, glidepath: null });
+            Object.assign(f, { departureRunway: null, departureConfidence: 0, outboundSector: null, rules: [] });
+        }
+    });
+
+    const goArounds = tracking?.approaches
+        ? updateApproaches(tracking.approaches, flights, airport, tracking.time)
+        : [];
+
+    return { config, decision, flights, phase, change, goArounds };
+}
+
+// ========================
+// Vertical Profile
+// ========================
+
+/**
+ * Straight-line distance (km) from a point to the landing threshold of a runway
+ */
+export function distanceToThreshold(lat, lng, rwy) {
+    const { start } = runwayEnds(rwy);
+    return haversine(lat, lng, start.lat, start.lng);
+}
+
+/**
+ * Altitude (m) of the GLIDEPATH_ANGLE glide path `distance` km from the threshold
+ */
+export function glidepathAltitude(distance, airport) {
+    return airport.elevation + GLIDEPATH_TCH + distance * 1000 * Math.tan(toRad(GLIDEPATH_ANGLE));
+}
+
+/**
+ * Where an arrival is relative to the glide path of its predicted runway:
+ * { distance (km to the threshold), deviation (m, positive = above),
+ * angle (° seen from the threshold), flag: 'high' | 'low' | null }, or
+ * null without a predicted runway. Uses the barometric altitude, which is
+ * not corrected for the local pressure.
+ */
+export function glidepathDeviation(flight, airport) {
+    const rwy = airport.runways[flight.predictedRunway];
+    if (!rwy || flight.baroAltitude == null) return null;
+
+    const distance = distanceToThreshold(flight.latitude, flight.longitude, rwy);
+    const deviation = flight.baroAltitude - glidepathAltitude(distance, airport);
+    const height = flight.baroAltitude - airport.elevation - GLIDEPATH_TCH;
+    const angle = toDeg(Math.atan2(height, distance * 1000));
+
+    const off = distance <= GLIDEPATH_FLAG_DIST &&
+        Math.abs(angle - GLIDEPATH_ANGLE) > GLIDEPATH_TOLERANCE &&
+        Math.abs(deviation) > GLIDEPATH_MIN_DEVIATION;
+    return { distance, deviation, angle, flag: off ? (deviation > 0 ? 'high' : 'low') : null };
+}
+
+// ========================
+// Noise Watch
+// ========================
+
+/**
+ * Where an arrival will pass a point on the ground, e.g. someone's house
+ * under the approach: { runway, lateral (km off the extended centerline),
+ * along (km out from the threshold), altitude (m, on the glide path but
+ * never above the current altitude), time (s until abeam), eta (unix s) },
+ * or null if the flight has no estimate or won't pass the point on its way
+ * in — it lies beyond the threshold, further out than where the flight
+ * joins the centerline, or the flight is already past it.
+ */
+export function overflight(flight, point, airport) {
+    const rwy = airport.runways[flight.predictedRunway];
+    if (!rwy || flight.timeToThreshold == null) return null;
+
+    const { start, end } = runwayEnds(rwy);
+    // Positive on the approach side of the threshold
+    const along = -alongTrackDistance(point.lat, point.lng, start.lat, start.lng, end.lat, end.lng);
+    if (along <= 0 || along > flight.remainingDistance) return null;
+
+    // The assumed path joins the centerline as in estimateArrival()
+    const flightXtd = crossTrackDistance(flight.latitude, flight.longitude, start.lat, start.lng, end.lat, end.lng);
+    const flightAlong = -alongTrackDistance(flight.latitude, flight.longitude, start.lat, start.lng, end.lat, end.lng);
+    const joinAlong = flightXtd < ALIGNED_XTD && flightAlong > 0
+        ? flightAlong
+        : Math.max(flightAlong - flightXtd / Math.tan(toRad(INTERCEPT_ANGLE)), MIN_FINAL_LENGTH);
+    if (along > joinAlong) return null;
+
+    const altitude = Math.min(glidepathAltitude(along, airport), flight.baroAltitude ?? Infinity);
+    // Same speed profile as the arrival estimate, run backwards from the threshold
+    const time = Math.max(0, flight.timeToThreshold - timeToFly(along, flight.velocity));
+    return {
+        runway: flight.predictedRunway,
+        lateral: crossTrackDistance(point.lat, point.lng, start.lat, start.lng, end.lat, end.lng),
+        along,
+        altitude,
+        time,
+        eta: (flight.lastUpdate || Date.now() / 1000) + time,
+    };
+}
+
+// ========================
+// Operational Rules
+// ========================
+
+function lowestScore(scores) {
+    return Object.keys(scores).reduce((best, name) =>
+        best == null || scores[name] < scores[best] ? name : best, null);
+}
+
+/**
+ * Weigh runway scores (lower is better) by the airport's rules for one
+ * flight and operation. Closed runways are dropped unless that would
+ * leave none, in which case the flight is flying anyway — an exemption —
+ * and only the geometry decides. Returns the adjusted scores, the rules
+ * that applied as [{ runway, id, effect, description }] (none for an
+ * exemption, as none were enforced) and whether it was one.
+ */
+export function applyRules(scores, airport, flight, operation) {
+    const time = flight.lastUpdate || Date.now() / 1000;
+    const adjusted = {};
+    const applied = [];
+
+    Object.entries(scores).forEach(([runway, score]) => {
+        let closed = false;
+        matchingRules(airport, runway, operation, flight, time).forEach((rule) => {
+            applied.push({ runway, id: rule.id, effect: rule.effect, description: rule.description });
+            if (rule.effect === 'closed') closed = true;
+            else if (rule.effect === 'avoid') score += RULE_AVOID_PENALTY;
+            else if (rule.effect === 'prefer') score -= RULE_PREFER_BONUS;
+        });
+        if (!closed) adjusted[runway] = score;
+    });
+
+    if (Object.keys(adjusted).length === 0 && Object.keys(scores).length > 0) {
+        return { scores, applied: [], exempt: true };
+    }
+    return { scores: adjusted, applied, exempt: false };
+}
+
+/**
+ * The applied rules that explain a prediction: those on the predicted
+ * runway and on the one the geometry alone would have picked
+ */
+function rulesFor(applied, runway, geometricBest) {
+    return applied.filter((r) => r.runway === runway || r.runway === geometricBest);
+}
+
+/**
+ * Rules of the airport that apply to a runway end and operation for a
+ * flight at `time` (unix seconds)
+ */
+export function matchingRules(airport, runway, operation, flight, time) {
+    let minutes = null;
+    return airport.rules.filter((rule) => {
+        if (rule.runways && !rule.runways.includes(runway)) return false;
+        if (rule.operations && !rule.operations.includes(operation)) return false;
+        if (rule.wake && !rule.wake.includes(flight.wake)) return false;
+        if (rule.hours) {
+            minutes ??= localMinutes(time, airport.timezone);
+            // Ranges may wrap past midnight, e.g. 23:00-05:00
+            return rule.hours.some(([from, to]) =>
+                from <= to ? minutes >= from && minutes < to : minutes >= from || minutes < to
+            );
+        }
+        return true;
+    });
+}
+
+const timeFormats = new Map();
+
+/**
+ * Minutes since local midnight in a timezone
+ */
+function localMinutes(time, timezone) {
+    if (!timeFormats.has(timezone)) {
+        timeFormats.set(timezone, new Intl.DateTimeFormat('en-GB', {
+            timeZone: timezone, hour: '2-digit', minute: '2-digit', hourCycle: 'h23',
+        }));
+    }
+    const parts = timeFormats.get(timezone).formatToParts(new Date(time * 1000));
+    const part = (type) => Number(parts.find((p) => p.type === type).value);
+    return part('hour') * 60 + part('minute');
+}
+
+// ========================
+// Configuration Tracking
+// ========================
+
+// detectConfiguration() judges every snapshot on its own, so a few
+// stragglers or a go-around flip it back and forth. The tracked state
+// only follows it once the new configuration has held for a while.
+//
+//   stable     — the confirmed configuration is the one detected and
+//                arrivals are only seen in its direction
+//   transition — another configuration is being detected but not yet
+//                confirmed, or arrivals are seen in both directions
+
+export function createConfigState() {
+    return { config: null, observed: false, phase: 'stable', pending: null, pendingSince: null, mixed: false };
+}
+
+/**
+ * Feed one detectConfiguration() decision at `time` (unix seconds) into
+ * the state. Until arrivals have been seen the decision is adopted
+ * straight away, as it only reflects the wind or the preferred
+ * configuration; after that a different configuration must be detected
+ * for `hysteresis` seconds in a row to take over. Returns the confirmed
+ * change as { time, from, to, reasons }, or null.
+ */
+export function updateConfigState(state, decision, time, hysteresis = CONFIG_HYSTERESIS) {
+    let change = null;
+    const observed = Object.values(decision.votes).some((count) => count > 0);
+
+    if (!state.observed || decision.config === state.config) {
+        state.observed ||= observed;
+        state.config = decision.config;
+        state.pending = null;
+        state.pendingSince = null;
+    } else {
+        if (state.pending !== decision.config) {
+            state.pending = decision.config;
+            state.pendingSince = time;
+        }
+        if (time - state.pendingSince >= hysteresis) {
+            change = { time, from: state.config, to: decision.config, reasons: decision.reasons };
+            state.config = decision.config;
+            state.pending = null;
+            state.pendingSince = null;
+        }
+    }
+
+    state.mixed = Object.values(decision.votes).filter((count) => count > 0).length > 1;
+    state.phase = state.pending || state.mixed ? 'transition' : 'stable';
+    return change;
+}
+
+/**
+ * The configuration whose approach heading is closest to the flight's track
+ */
+function alignedConfig(flight, airport, fallback) {
+    const track = estimateMotion(flight.track)?.track ?? flight.heading;
+    if (track == null) return fallback;
+    return Object.keys(airport.configs).reduce((best, name) =>
+        Math.abs(angleDiff(track, airport.configs[name].heading)) <
+        Math.abs(angleDiff(track, airport.configs[best].heading)) ? name : best,
+    fallback);
+}
+
+// ========================
+// Go-Arounds
+// ========================
+
+/**
+ * Whether a flight is on the extended centerline of a runway it would
+ * land on, from GO_AROUND_MAX_DIST out to GO_AROUND_CLIMB_OUT past the
+ * far end
+ */
+function onFinal(flight, rwy) {
+    const { start, end } = runwayEnds(rwy);
+    const { latitude: lat, longitude: lng } = flight;
+    const xtd = crossTrackDistance(lat, lng, start.lat, start.lng, end.lat, end.lng);
+    const along = alongTrackDistance(lat, lng, start.lat, start.lng, end.lat, end.lng);
+    const length = haversine(start.lat, start.lng, end.lat, end.lng);
+    return xtd < GO_AROUND_MAX_XTD && along > -GO_AROUND_MAX_DIST && along < length + GO_AROUND_CLIMB_OUT;
+}
+
+/**
+ * Watch arrivals for go-arounds. An approach is watched once the flight
+ * descends on final of its predicted runway below GO_AROUND_MAX_HEIGHT;
+ * climbing away along that runway afterwards is a go-around. Until the
+ * flight is descending on an approach again it keeps the runway it
+ * missed rather than being taken for a departure.
+ *
+ * `approaches` is a Map kept between calls, `time` in unix seconds.
+ * Flights get goAround = { runway, time, count, phase } — phase 'missed'
+ * until they rejoin, then 'rejoined' — or null. Returns the go-arounds
+ * detected in this call as [{ time, icao24, callsign, runway, height }],
+ * height being the lowest point of the approach above the airport.
+ */
+export function updateApproaches(approaches, flights, airport, time) {
+    const events = [];
+
+    flights.forEach((f) => {
+        let entry = approaches.get(f.icao24);
+        if (!entry) {
+            entry = { runway: null, confidence: 0, lowest: null, phase: null, missed: null, time: null, count: 0 };
+            approaches.set(f.icao24, entry);
+        }
+        entry.lastSeen = time;
+
+        const height = f.baroAltitude != null ? f.baroAltitude - airport.elevation : null;
+        const descending = f.verticalRate != null && f.verticalRate < -1;
+
+        // Back on an approach after a go-around
+        if (entry.phase === 'missed' && f.isArriving && f.predictedRunway && descending) {
+            entry.phase = 'rejoined';
+        }
+
+        if (entry.phase !== 'missed') {
+            const rwy = airport.runways[f.predictedRunway];
+            if (rwy && descending && height != null && height < GO_AROUND_MAX_HEIGHT && onFinal(f, rwy)) {
+                entry.runway = f.predictedRunway;
+                entry.confidence = f.confidence;
+                entry.lowest = Math.min(entry.lowest ?? height, height);
+            } else if (entry.lowest != null) {
+                const final = airport.runways[entry.runway];
+                const track = estimateMotion(f.track)?.track ?? f.heading;
+                const climbing = f.verticalRate != null && f.verticalRate > GO_AROUND_CLIMB_RATE &&
+                    height - entry.lowest > GO_AROUND_MIN_GAIN;
+                const aligned = track != null && Math.abs(angleDiff(track, final.heading)) < GO_AROUND_MAX_TRACK_DIFF;
+
+                if (!onFinal(f, final)) {
+                    entry.lowest = null;
+                } else if (climbing && aligned) {
+                    events.push({ time, icao24: f.icao24, callsign: f.callsign, runway: entry.runway, height: entry.lowest });
+                    entry.phase = 'missed';
+                    entry.missed = entry.runway;
+                    entry.time = time;
+                    entry.count++;
+                    entry.lowest = null;
+                }
+            }
+        }
+
+        // Keep the runway it went around from instead of any new prediction
+        if (entry.phase === 'missed') {
+            f.isDeparting = false;
+            f.predictedRunway = entry.missed;
+            f.confidence = entry.confidence;
+            Object.assign(f, { remainingDistance: null, timeToThreshold: null, eta: null, glidepath: null });
+            Object.assign(f, { departureRunway: null, departureConfidence: 0, outboundSector: null, rules: [] });
+        }
+
+        f.goAround = entry.phase
+            ? { runway: entry.missed, time: entry.time, count: entry.count, phase: entry.phase }
+            : null;
+    });
+
+    for (const [icao, entry] of approaches) {
+        if (time - entry.lastSeen > TRACK_MAX_AGE) approaches.delete(icao);
+    }
+
+    return events;
+}
+
+// ========================
+// Holding
+// ========================
+
+/**
+ * Where a track turned through a full lap: at least HOLD_MIN_TURN one way
+ * within the last HOLD_WINDOW, within HOLD_MAX_DIAMETER, and is still
+ * turning rather than flying off. Returns { lat, lng, since } — the
+ * centre of the positions and the time of the first of them — or null.
+ */
+export function holdingCentre(points) {
+    if (!points || points.length < 3) return null;
+    const newest = points[points.length - 1];
+    const recent = points.filter((p) => newest.t - p.t <= HOLD_WINDOW && p.heading != null);
+    if (recent.length < 3) return null;
+
+    let turn = 0;
+    let latestTurn = 0;
+    for (let i = 1; i < recent.length; i++) {
+        const step = angleDiff(recent[i].heading, recent[i - 1].heading);
+        turn += step;
+        if (newest.t - recent[i - 1].t <= HOLD_STILL_TURNING) latestTurn += step;
+    }
+    if (Math.abs(turn) < HOLD_MIN_TURN || Math.abs(latestTurn) < HOLD_STILL_TURN) return null;
+
+    const lat = recent.reduce((sum, p) => sum + p.lat, 0) / recent.length;
+    const lng = recent.reduce((sum, p) => sum + p.lng, 0) / recent.length;
+    const spread = Math.max(...recent.map((p) => haversine(lat, lng, p.lat, p.lng)));
+    if (spread * 2 > HOLD_MAX_DIAMETER) return null;
+
+    return { lat, lng, since: recent[0].t };
+}
+
+/**
+ * The airport's holding fix closest to a point, within HOLD_FIX_RADIUS
+ */
+export function nearestHoldingFix(point, airport) {
+    let best = null;
+    let bestDist = HOLD_FIX_RADIUS;
+    airport.holdings.forEach((fix) => {
+        const d = haversine(point.lat, point.lng, fix.lat, fix.lng);
+        if (d <= bestDist) {
+            best = fix;
+            bestDist = d;
+        }
+    });
+    return best;
+}
+
+/**
+ * Find flights in a holding pattern (see holdingCentre) and match each
+ * hold to a holding fix of the airport. `holds` is a Map kept between
+ * calls so that a flight keeps the time it entered the hold, `time` in
+ * unix seconds. Flights get holding = { fix (id or null), lat, lng,
+ * since } or null.
+ */
+export function updateHolds(holds, flights, airport, time) {
+    flights.forEach((f) => {
+        const centre = holdingCentre(f.track);
+        if (!centre) {
+            holds.delete(f.icao24);
+            f.holding = null;
+            return;
+        }
+
+        let entry = holds.get(f.icao24);
+        if (!entry) {
+            entry = { since: centre.since };
+            holds.set(f.icao24, entry);
+        }
+        entry.lastSeen = time;
+        entry.lat = centre.lat;
+        entry.lng = centre.lng;
+        entry.fix = nearestHoldingFix(centre, airport)?.id ?? null;
+
+        f.holding = { fix: entry.fix, lat: entry.lat, lng: entry.lng, since: entry.since };
+    });
+
+    for (const [icao, entry] of holds) {
+        if (time - entry.lastSeen > TRACK_MAX_AGE) holds.delete(icao);
+    }
+}
+
+/**
+ * Holding flights grouped by stack — one per holding fix, and one per
+ * hold that matches no fix — lowest first, as stacks are cleared from
+ * the bottom. Each flight gets a rough delay estimate (s): the time held
+ * so far plus HOLD_RELEASE_INTERVAL for itself and each aircraft below.
+ * Returns [{ fix, lat, lng, flights: [{ flight, held, delay }] }], the
+ * busiest stack first.
+ */
+export function holdingStacks(flights, airport, time) {
+    const stacks = new Map();
+    flights.filter((f) => f.holding).forEach((f) => {
+        const key = f.holding.fix || f.icao24;
+        if (!stacks.has(key)) {
+            const fix = airport.holdings.find((h) => h.id === f.holding.fix);
+            stacks.set(key, { fix: f.holding.fix, lat: fix?.lat ?? f.holding.lat, lng: fix?.lng ?? f.holding.lng, flights: [] });
+        }
+        stacks.get(key).flights.push(f);
+    });
+
+    return [...stacks.values()]
+        .map((stack) => ({
+            ...stack,
+            flights: stack.flights
+                .sort((a, b) => (a.baroAltitude ?? Infinity) - (b.baroAltitude ?? Infinity))
+                .map((flight, i) => {
+                    const held = Math.max(0, time - flight.holding.since);
+                    return { flight, held, delay: held + (i + 1) * HOLD_RELEASE_INTERVAL };
+                }),
+        }))
+        .sort((a, b) => b.flights.length - a.flights.length);
+}
+
+// ========================
+// Approach Sequence
+// ========================
+
+/**
+ * Arrivals lined up per landing runway of `config`, next to land first:
+ * { [runway]: [{ flight, gapDistance, gapTime }] } with the gap to the
+ * arrival ahead in track distance (km) and time (s), null for the first.
+ * Uses the estimates of estimateArrival(); a negative gap means the
+ * flight is catching up on the one ahead.
+ */
+export function approachSequence(flights, airport, config) {
+    const sequence = {};
+    airport.configs[config].landing.forEach((rwy) => {
+        const arrivals = flights
+            .filter((f) => f.predictedRunway === rwy && f.timeToThreshold != null)
+            .sort((a, b) => a.timeToThreshold - b.timeToThreshold);
+        sequence[rwy] = arrivals.map((flight, i) => {
+            const ahead = arrivals[i - 1];
+            return {
+                flight,
+                gapDistance: ahead ? flight.remainingDistance - ahead.remainingDistance : null,
+                gapTime: ahead ? flight.timeToThreshold - ahead.timeToThreshold : null,
+            };
+        });
+    });
+    return sequence;
+}
+
+// ========================
+// Landings
+// ========================
+
+export function distanceBucket(distance) {
+    return DISTANCE_BUCKETS.find((max) => distance <= max) ?? null;
+}
+
+/**
+ * The runway an aircraft landed on: the physical runway whose centerline
+ * (or its extension up to LANDING_MAX_THRESHOLD_DIST out) the point lies
+ * on, and the end of it the aircraft was heading along
+ */
+export function identifyLandingRunway(point, heading, airport) {
+    if (heading == null) return null;
+
+    let best = null;
+    airport.runwayLines.forEach((line) => {
+        const { from, to } = line;
+        const xtd = crossTrackDistance(point.lat, point.lng, from.lat, from.lng, to.lat, to.lng);
+        const along = alongTrackDistance(point.lat, point.lng, from.lat, from.lng, to.lat, to.lng);
+        const length = haversine(from.lat, from.lng, to.lat, to.lng);
+        if (along < -LANDING_MAX_THRESHOLD_DIST || along > length + LANDING_MAX_THRESHOLD_DIST) return;
+        if (xtd < LANDING_MAX_XTD && (!best || xtd < best.xtd)) best = { line, xtd };
+    });
+    if (!best) return null;
+
+    return best.line.names.find(
+        (name) => Math.abs(angleDiff(heading, airport.runways[name].heading)) < 45
+    ) || null;
+}
+
+// ========================
+// Export
+// ========================
+
+// Per-flight fields in every export format: the state vector, aircraft
+// metadata and what the engine derived from them, in the units of the
+// flight objects (m, m/s, km, s, unix s)
+export const EXPORT_FIELDS = [
+    'icao24', 'callsign', 'registration', 'aircraftType', 'operator', 'airline', 'wake', 'squawk',
+    'latitude', 'longitude', 'baroAltitude', 'geoAltitude', 'velocity', 'heading', 'verticalRate', 'lastUpdate',
+    'distanceToAirport', 'isArriving', 'isDeparting', 'predictedRunway', 'confidence',
+    'remainingDistance', 'timeToThreshold', 'eta', 'departureRunway', 'departureConfidence', 'outboundSector',
+    'glidepathDeviation', 'goAround', 'holdingFix', 'alert', 'activeConfig',
+];
+
+function exportRecord(f, config) {
+    const record = {};
+    EXPORT_FIELDS.forEach((key) => { record[key] = f[key] ?? null; });
+    record.glidepathDeviation = f.glidepath?.deviation ?? null;
+    record.goAround = f.goAround?.phase ?? null;
+    record.holdingFix = f.holding ? f.holding.fix || 'unnamed' : null;
+    record.alert = f.alert?.code ?? null;
+    record.activeConfig = config;
+    return record;
+}
+
+function csvValue(value) {
+    if (value == null) return '';
+    let text = String(value);
+    // Keep spreadsheets from evaluating text from the feed as a formula
+    if (typeof value === 'string' && /^[=+\-@]/.test(text)) text = `'${text}`;
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Flights as CSV with a header row of EXPORT_FIELDS
+ */
+export function flightsToCsv(flights, config) {
+    const rows = flights.map((f) => {
+        const record = exportRecord(f, config);
+        return EXPORT_FIELDS.map((key) => csvValue(record[key])).join(',');
+    });
+    return [EXPORT_FIELDS.join(','), ...rows].join('\n') + '\n';
+}
+
+/**
+ * Flights, their track history and the airport's runways as a GeoJSON
+ * FeatureCollection. Every feature has a `kind`: 'aircraft' (a point with
+ * the EXPORT_FIELDS as properties), 'track' or 'runway' (lines).
+ * Coordinates carry the altitude in m where known.
+ */
+export function flightsToGeoJson(flights, airport, config) {
+    const position = (lng, lat, alt) => (alt != null ? [lng, lat, alt] : [lng, lat]);
+    const features = airport.runwayLines.map((line) => ({
+        type: 'Feature',
+        geometry: {
+            type: 'LineString',
+            coordinates: [[line.from.lng, line.from.lat], [line.to.lng, line.to.lat]],
+        },
+        properties: { kind: 'runway', name: line.label, ends: line.names, landing: line.landing },
+    }));
+
+    flights.forEach((f) => {
+        features.push({
+            type: 'Feature',
+            geometry: { type: 'Point', coordinates: position(f.longitude, f.latitude, f.baroAltitude) },
+            properties: { kind: 'aircraft', ...exportRecord(f, config) },
+        });
+        if (f.track?.length > 1) {
+            features.push({
+                type: 'Feature',
+                geometry: { type: 'LineString', coordinates: f.track.map((p) => position(p.lng, p.lat, p.alt)) },
+                properties: {
+                    kind: 'track',
+                    icao24: f.icao24,
+                    callsign: f.callsign || null,
+                    predictedRunway: f.predictedRunway ?? null,
+                    times: f.track.map((p) => p.t),
+                },
+            });
+        }
+    });
+
+    return { type: 'FeatureCollection', features };
+}
+
+function xmlEscape(value) {
+    return String(value).replace(/[<>&'"]/g, (c) => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', "'": '&apos;', '"': '&quot;' })[c]);
+}
+
+/**
+ * Flights, their track history and the airport's runways as a KML
+ * document with a folder each. Aircraft carry the EXPORT_FIELDS as
+ * ExtendedData; altitudes are absolute, in m.
+ */
+export function flightsToKml(flights, airport, config) {
+    const coord = (lng, lat, alt) => `${lng},${lat},${alt ?? 0}`;
+    const placemark = (name, geometry, data = null) => `
+      <Placemark>
+        <name>${xmlEscape(name)}</name>${data ? `
+        <ExtendedData>${Object.entries(data)
+            .filter(([, value]) => value != null)
+            .map(([key, value]) => `
+          <Data name="${key}"><value>${xmlEscape(value)}</value></Data>`)
+            .join('')}
+        </ExtendedData>` : ''}
+        ${geometry}
+      </Placemark>`;
+
+    const runways = airport.runwayLines.map((line) => placemark(line.label, `<LineString>
+          <tessellate>1</tessellate>
+          <coordinates>${coord(line.from.lng, line.from.lat, 0)} ${coord(line.to.lng, line.to.lat, 0)}</coordinates>
+        </LineString>`));
+
+    const aircraft = flights.map((f) => placemark(f.callsign || f.icao24, `<Point>
+          <altitudeMode>absolute</altitudeMode>
+          <coordinates>${coord(f.longitude, f.latitude, f.baroAltitude)}</coordinates>
+        </Point>`, exportRecord(f, config)));
+
+    const tracks = flights
+        .filter((f) => f.track?.length > 1)
+        .map((f) => placemark(f.callsign || f.icao24, `<LineString>
+          <altitudeMode>absolute</altitudeMode>
+          <coordinates>${f.track.map((p) => coord(p.lng, p.lat, p.alt)).join(' ')}</coordinates>
+        </LineString>`));
+
+    const folder = (name, items) => `
+    <Folder>
+      <name>${name}</name>${items.join('')}
+    </Folder>`;
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+  <Document>
+    <name>${xmlEscape(`${airport.icao}${config ? ` — ${airport.configs[config]?.label || config}` : ''}`)}</name>${folder('Runways', runways)}${folder('Aircraft', aircraft)}${folder('Tracks', tracks)}
+  </Document>
+</kml>
+`;
+}
+
+// ========================
+// Headless Entry Point
+// ========================
+
+const builtAirports = new WeakMap();
+
+/**
+ * One-shot prediction for a snapshot of raw states.
+ *   states     — raw states as delivered by options.source (default OpenSky)
+ *   airportDef — an airports/*.json definition or a buildAirport() result
+ *   options    — { source, time, wind, history, configState, hysteresis,
+ *                aircraftDb, airlines, squawks, approaches, holds }:
+ *                wind as from parseMetar(); aircraftDb and airlines as
+ *                for enrichFlight(); squawks the extra codes to flag
+ *                (see squawkAlert); history a Map and configState
+ *                a createConfigState() kept between calls to enable the
+ *                turn projection (see updateTrackHistory) and configuration
+ *                smoothing (see updateConfigState); approaches and holds
+ *                Maps kept alongside configState to detect go-arounds
+ *                and holding (see updateApproaches, updateHolds)
+ * Returns { config, decision, flights, phase, change, goArounds, onGround } with
+ * flights annotated by runPredictions().
+ */
+export function predict(states, airportDef, options = {}) {
+    const {
+        source = 'opensky', time = nowSeconds(), wind = null, history = new Map(),
+        configState = null, hysteresis = CONFIG_HYSTERESIS, aircraftDb = null, airlines = null,
+        squawks = {}, approaches = null, holds = null,
+    } = options;
+
+    let airport = airportDef.runwayLines ? airportDef : builtAirports.get(airportDef);
+    if (!airport) {
+        airport = buildAirport(airportDef);
+        builtAirports.set(airportDef, airport);
+    }
+
+    const parsed = parseStates(states, airport, { source, time });
+    parsed.forEach((f) => {
+        enrichFlight(f, aircraftDb, airlines);
+        f.alert = squawkAlert(f, squawks);
+    });
+    const airborne = parsed.filter((f) => !f.onGround);
+    updateTrackHistory(history, airborne, time);
+
+    const tracking = configState ? { state: configState, time, hysteresis, approaches, holds } : null;
+    const result = runPredictions(airborne, airport, wind, tracking);
+    return { ...result, onGround: parsed.filter((f) => f.onGround) };
+}
@@ -0,0 +1,406 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+
+import {
+    predict, estimateArrival, buildAirport, normalizeOpenSky, normalizeDump1090, parseMetar, windPreferredConfig,
+    createConfigState, updateConfigState, matchingRules, applyRules, updateApproaches, runwayEnds,
+    holdingCentre, updateHolds, flightsToCsv, EXPORT_FIELDS, bearing, angleDiff, destinationPoint,
+} from '../engine.js';
+
+const readJson = (path) => JSON.parse(readFileSync(new URL(path, import.meta.url), 'utf8'));
+
+const eddf = readJson('../airports/eddf.json');
+const mock = readJson('../mock/opensky-states.json');
+const airport = buildAirport(eddf);
+
+const byCallsign = (flights, callsign) => flights.find((f) => f.callsign === callsign);
+
+// 25C with its landing threshold at the east end
+const RWY_25C = {
+    heading: 249,
+    threshold: { lat: 50.0451, lng: 8.5870 },
+    opposite: { lat: 50.0326, lng: 8.5346 },
+};
+const withRunway = (rwy) => ({ ...airport, runways: { '25C': rwy } });
+
+test('runwayEnds starts at the landing threshold', () => {
+    Object.values(airport.runways).forEach((rwy) => {
+        const { start, end } = runwayEnds(rwy);
+        const course = bearing(start.lat, start.lng, end.lat, end.lng);
+        assert.ok(Math.abs(angleDiff(course, rwy.heading)) < 5, `${rwy.label}: ${course} vs ${rwy.heading}`);
+    });
+});
+
+test('runwayEnds does not depend on which end is called the threshold', () => {
+    const rwy = airport.runways['25C'];
+    const flipped = { ...rwy, threshold: rwy.opposite, opposite: rwy.threshold };
+    assert.deepEqual(runwayEnds(flipped), runwayEnds(rwy));
+});
+
+test('normalizeDump1090 converts feet, knots and ft/min to SI units', () => {
+    const [f] = normalizeDump1090([
+        { hex: '~3C6744', flight: 'DLH4AB  ', alt_baro: 2500, alt_geom: 2600, gs: 160, track: 249, baro_rate: -700, squawk: '1000', lat: 50.07, lon: 8.69, seen_pos: 2 },
+    ], 1000);
+
+    assert.equal(f.icao24, '3c6744');
+    assert.equal(f.callsign, 'DLH4AB');
+    assert.ok(Math.abs(f.baroAltitude - 762) < 0.1);
+    assert.ok(Math.abs(f.geoAltitude - 792.48) < 0.1);
+    assert.ok(Math.abs(f.velocity - 82.31) < 0.01);
+    assert.ok(Math.abs(f.verticalRate + 3.556) < 0.001);
+    assert.equal(f.heading, 249);
+    assert.equal(f.onGround, false);
+    assert.equal(f.lastUpdate, 998);
+});
+
+test('normalizeDump1090 reads older field names and aircraft on the ground', () => {
+    const [old, ground] = normalizeDump1090([
+        { hex: 'abc123', altitude: 1800, speed: 140, vert_rate: -600, lat: 50.06, lon: 8.65, seen: 1 },
+        { hex: '3c6752', alt_baro: 'ground', gs: 5, lat: 50.045, lon: 8.556 },
+    ], 1000);
+
+    assert.ok(Math.abs(old.baroAltitude - 548.64) < 0.1);
+    assert.ok(Math.abs(old.velocity - 72.02) < 0.01);
+    assert.equal(old.lastUpdate, 999);
+    assert.equal(old.heading, null);
+
+    assert.equal(ground.onGround, true);
+    assert.equal(ground.baroAltitude, null);
+    assert.equal(ground.verticalRate, null);
+});
+
+test('the ADS-B emitter category gives the ICAO wake category', () => {
+    const opensky = (category) => normalizeOpenSky([['3c6744', 'DLH4AB', 'Germany', 0, 0, 8.6, 50.0, 500, false, 80, 249, -3, null, 500, '1000', false, 0, category]])[0].wake;
+    assert.deepEqual([2, 3, 4, 5, 6, 0].map(opensky), ['L', 'M', 'M', 'M', 'H', null]);
+
+    const dump1090 = (category) => normalizeDump1090([{ hex: '3c6744', category }], 0)[0].wake;
+    assert.deepEqual(['A1', 'A2', 'A3', 'A4', 'A5', 'A7'].map(dump1090), ['L', 'M', 'M', 'M', 'H', null]);
+});
+
+test('parseMetar reads the wind group with gusts and a variable range', () => {
+    const metar = parseMetar('METAR EDDF 191020Z 25012G22KT 220V280 9999 FEW030 12/08 Q1015 NOSIG');
+    assert.equal(metar.station, 'EDDF');
+    assert.equal(metar.direction, 250);
+    assert.equal(metar.speed, 12);
+    assert.equal(metar.gust, 22);
+    assert.deepEqual(metar.range, [220, 280]);
+});
+
+test('parseMetar handles calm, variable and metric winds', () => {
+    const calm = parseMetar('EDDF 191020Z 00000KT CAVOK');
+    assert.equal(calm.speed, 0);
+    assert.equal(calm.gust, null);
+    assert.equal(calm.range, null);
+
+    const vrb = parseMetar('EDDF 191020Z VRB03KT 9999');
+    assert.equal(vrb.direction, null);
+    assert.equal(vrb.speed, 3);
+
+    assert.equal(parseMetar('EDDF 191020Z 07010MPS 9999').speed, 19);
+    assert.equal(parseMetar('EDDF 191020Z CAVOK'), null);
+});
+
+test('windPreferredConfig keeps the preferred configuration within the tailwind limit', () => {
+    assert.equal(windPreferredConfig({ direction: 250, speed: 10 }, airport).config, 'westerly');
+    assert.equal(windPreferredConfig({ direction: 70, speed: 4 }, airport).config, 'westerly');
+});
+
+test('windPreferredConfig turns into the wind beyond the tailwind limit, gusts included', () => {
+    assert.equal(windPreferredConfig({ direction: 70, speed: 12 }, airport).config, 'easterly');
+    assert.equal(windPreferredConfig({ direction: 70, speed: 3, gust: 10 }, airport).config, 'easterly');
+    assert.equal(windPreferredConfig({ direction: null, speed: 3 }, airport), null);
+});
+
+const decision = (config, votes) => ({ config, votes, reasons: [`${config} detected`] });
+
+test('updateConfigState adopts the first decision and holds it until arrivals disagree for long enough', () => {
+    const state = createConfigState();
+    assert.equal(updateConfigState(state, decision('westerly', { westerly: 4, easterly: 0 }), 0, 300), null);
+    assert.equal(state.config, 'westerly');
+    assert.equal(state.phase, 'stable');
+
+    assert.equal(updateConfigState(state, decision('easterly', { westerly: 0, easterly: 3 }), 60, 300), null);
+    assert.equal(state.config, 'westerly');
+    assert.equal(state.pending, 'easterly');
+    assert.equal(state.phase, 'transition');
+
+    const change = updateConfigState(state, decision('easterly', { westerly: 0, easterly: 3 }), 360, 300);
+    assert.deepEqual(change, { time: 360, from: 'westerly', to: 'easterly', reasons: ['easterly detected'] });
+    assert.equal(state.config, 'easterly');
+    assert.equal(state.phase, 'stable');
+});
+
+test('updateConfigState restarts the hysteresis when the old configuration comes back', () => {
+    const state = createConfigState();
+    updateConfigState(state, decision('westerly', { westerly: 4, easterly: 0 }), 0, 300);
+    updateConfigState(state, decision('easterly', { westerly: 0, easterly: 1 }), 100, 300);
+    updateConfigState(state, decision('westerly', { westerly: 2, easterly: 0 }), 200, 300);
+    assert.equal(state.pending, null);
+
+    assert.equal(updateConfigState(state, decision('easterly', { westerly: 0, easterly: 1 }), 300, 300), null);
+    assert.equal(updateConfigState(state, decision('easterly', { westerly: 0, easterly: 1 }), 500, 300), null);
+    assert.equal(state.config, 'westerly');
+});
+
+test('updateConfigState follows the wind until arrivals have been seen', () => {
+    const state = createConfigState();
+    updateConfigState(state, decision('westerly', { westerly: 0, easterly: 0 }), 0, 300);
+    assert.equal(updateConfigState(state, decision('easterly', { westerly: 0, easterly: 0 }), 10, 300), null);
+    assert.equal(state.config, 'easterly');
+});
+
+test('updateConfigState reports a transition while arrivals come from both directions', () => {
+    const state = createConfigState();
+    updateConfigState(state, decision('westerly', { westerly: 3, easterly: 2 }), 0, 300);
+    assert.equal(state.config, 'westerly');
+    assert.ok(state.mixed);
+    assert.equal(state.phase, 'transition');
+});
+
+// Local times at EDDF (CEST, UTC+2)
+const localTime = (iso) => Date.parse(`${iso}+02:00`) / 1000;
+const ruleIds = (runway, operation, flight, time) =>
+    matchingRules(airport, runway, operation, flight, time).map((r) => r.id);
+
+test('matchingRules applies the night curfew across midnight', () => {
+    const flight = { wake: 'M' };
+    assert.deepEqual(ruleIds('25C', 'landing', flight, localTime('2025-10-09T23:30')), ['curfew']);
+    assert.deepEqual(ruleIds('25C', 'landing', flight, localTime('2025-10-10T02:00')), ['curfew']);
+    assert.deepEqual(ruleIds('25C', 'landing', flight, localTime('2025-10-10T05:00')), []);
+    assert.deepEqual(ruleIds('25C', 'landing', flight, localTime('2025-10-09T22:59')), []);
+});
+
+test('matchingRules matches the shoulder hours either side of the curfew', () => {
+    const flight = { wake: 'M' };
+    assert.deepEqual(ruleIds('25R', 'landing', flight, localTime('2025-10-09T22:30')), ['nw-night-shoulder']);
+    assert.deepEqual(ruleIds('25R', 'landing', flight, localTime('2025-10-10T05:30')), ['nw-night-shoulder']);
+    assert.deepEqual(ruleIds('25R', 'landing', flight, localTime('2025-10-10T12:00')), []);
+});
+
+test('applyRules drops closed runways and weighs the others', () => {
+    const flight = { wake: 'H', lastUpdate: localTime('2025-10-10T12:00') };
+    const { scores, applied } = applyRules({ '25R': 1, '25C': 2, '25L': 3 }, airport, flight, 'landing');
+
+    assert.deepEqual(Object.keys(scores).sort(), ['25C', '25L']);
+    assert.equal(scores['25C'], 2);
+    assert.ok(scores['25L'] < 3);
+    assert.deepEqual(applied.map((r) => `${r.runway} ${r.id}`), ['25R nw-no-heavies', '25L heavies-south']);
+});
+
+test('applyRules keeps the geometry when every runway is closed', () => {
+    const flight = { wake: 'M', lastUpdate: localTime('2025-10-10T02:00') };
+    const scores = { '25R': 3, '25C': 1, '25L': 2 };
+    const ruled = applyRules(scores, airport, flight, 'landing');
+    assert.deepEqual(ruled.scores, scores);
+    assert.deepEqual(ruled.applied, []);
+    assert.equal(ruled.exempt, true);
+});
+
+test('predict does not blame the curfew for runways used during it, and is less sure', () => {
+    const night = localTime('2025-10-10T02:00');
+    const states = mock.states.map((s) => [...s.slice(0, 3), night, night, ...s.slice(5)]);
+    const day = byCallsign(predict(mock.states, eddf, { time: mock.time }).flights, 'DLH4AB');
+    const exempt = byCallsign(predict(states, eddf, { time: night }).flights, 'DLH4AB');
+
+    assert.equal(exempt.predictedRunway, '25C');
+    assert.deepEqual(exempt.rules, []);
+    assert.ok(exempt.confidence < day.confidence);
+});
+
+/**
+ * A flight `dist` km before (negative: past) the 25C threshold, `height`
+ * m above the airport
+ */
+function onFinal25C(dist, height, fields = {}) {
+    const { lat, lng } = destinationPoint(RWY_25C.threshold.lat, RWY_25C.threshold.lng, dist >= 0 ? 69 : 249, Math.abs(dist));
+    return {
+        icao24: '3c6744', callsign: 'DLH4AB', latitude: lat, longitude: lng, heading: 249,
+        baroAltitude: airport.elevation + height, verticalRate: -3.5,
+        isArriving: true, isDeparting: false, predictedRunway: '25C', confidence: 0.9,
+        ...fields,
+    };
+}
+
+test('updateApproaches detects a climb-out from final as a go-around and keeps the runway', () => {
+    const approaches = new Map();
+    assert.deepEqual(updateApproaches(approaches, [onFinal25C(3, 300)], airport, 0), []);
+    assert.deepEqual(updateApproaches(approaches, [onFinal25C(1, 100)], airport, 15), []);
+
+    const climbing = onFinal25C(-0.5, 250, { verticalRate: 10, isArriving: false, isDeparting: true, predictedRunway: null });
+    const events = updateApproaches(approaches, [climbing], airport, 30);
+    assert.deepEqual(events, [{ time: 30, icao24: '3c6744', callsign: 'DLH4AB', runway: '25C', height: 100 }]);
+    assert.deepEqual(climbing.goAround, { runway: '25C', time: 30, count: 1, phase: 'missed' });
+    assert.equal(climbing.isDeparting, false);
+    assert.equal(climbing.predictedRunway, '25C');
+    assert.equal(climbing.eta, null);
+
+    const rejoined = onFinal25C(15, 900);
+    updateApproaches(approaches, [rejoined], airport, 300);
+    assert.equal(rejoined.goAround.phase, 'rejoined');
+    assert.equal(rejoined.goAround.count, 1);
+});
+
+test('updateApproaches ignores approaches that continue to land', () => {
+    const approaches = new Map();
+    [[3, 300], [1, 100], [-0.5, 5]].forEach(([dist, height], i) => {
+        const f = onFinal25C(dist, height);
+        assert.deepEqual(updateApproaches(approaches, [f], airport, i * 15), []);
+        assert.equal(f.goAround, null);
+    });
+});
+
+/**
+ * Track points of a rate-one right turn around `centre`, one every 15 s
+ * from `from` to `to` (unix s)
+ */
+function orbit(centre, radius, from, to) {
+    const points = [];
+    for (let t = from; t <= to; t += 15) {
+        const angle = ((t - from) * 3) % 360;
+        const { lat, lng } = destinationPoint(centre.lat, centre.lng, angle, radius);
+        points.push({ lat, lng, alt: 2400, heading: (angle + 90) % 360, t });
+    }
+    return points;
+}
+
+function straight(start, heading, from, to, speed = 120) {
+    const points = [];
+    for (let t = from; t <= to; t += 15) {
+        const { lat, lng } = destinationPoint(start.lat, start.lng, heading, ((t - from) * speed) / 1000);
+        points.push({ lat, lng, alt: 2400, heading, t });
+    }
+    return points;
+}
+
+const KERAX = { lat: 50.27, lng: 8.08 };
+
+test('holdingCentre finds a full lap and its centre', () => {
+    const centre = holdingCentre(orbit(KERAX, 3, 0, 180));
+    assert.ok(centre);
+    assert.ok(Math.abs(centre.lat - KERAX.lat) < 0.02 && Math.abs(centre.lng - KERAX.lng) < 0.03);
+    assert.equal(centre.since, 0);
+});
+
+test('holdingCentre ignores straight legs, wide turns and flights that left the hold', () => {
+    assert.equal(holdingCentre(straight(KERAX, 249, 0, 300)), null);
+    assert.equal(holdingCentre(orbit(KERAX, 3, 0, 30)), null);
+    assert.equal(holdingCentre(orbit(KERAX, 15, 0, 180)), null);
+
+    // Slow enough to stay within HOLD_MAX_DIAMETER: only the turning stopped
+    const lap = orbit(KERAX, 3, 0, 120);
+    const out = straight(lap[lap.length - 1], 180, 135, 330, 40);
+    assert.ok(holdingCentre([...lap, ...out.slice(0, -5)]));
+    assert.equal(holdingCentre([...lap, ...out]), null);
+});
+
+test('updateHolds matches holds to fixes and keeps the time a flight entered', () => {
+    const holds = new Map();
+    const flight = { icao24: '3c6744', track: orbit(KERAX, 3, 0, 180) };
+    updateHolds(holds, [flight], airport, 180);
+    assert.equal(flight.holding.fix, 'KERAX');
+    assert.equal(flight.holding.since, 0);
+
+    flight.track = orbit(KERAX, 3, 0, 600).filter((p) => p.t >= 240);
+    updateHolds(holds, [flight], airport, 600);
+    assert.equal(flight.holding.since, 0);
+
+    const elsewhere = { icao24: '4ca7b9', track: orbit({ lat: 50.1, lng: 8.6 }, 3, 0, 180) };
+    updateHolds(holds, [elsewhere], airport, 600);
+    assert.equal(elsewhere.holding.fix, null);
+
+    flight.track = straight(KERAX, 180, 600, 900);
+    updateHolds(holds, [flight], airport, 900);
+    assert.equal(flight.holding, null);
+    assert.ok(!holds.has('3c6744'));
+});
+
+const csvRow = (csv, i) => {
+    const lines = csv.trimEnd().split('\n');
+    const header = lines[0].split(',');
+    return (field) => lines[i + 1].split(',')[header.indexOf(field)];
+};
+
+test('flightsToCsv writes a header of EXPORT_FIELDS and one row per flight', () => {
+    const csv = flightsToCsv([{ icao24: '3c6744', callsign: 'DLH4AB', velocity: 82.3, isArriving: true }], 'westerly');
+    assert.equal(csv.split('\n')[0], EXPORT_FIELDS.join(','));
+    const row = csvRow(csv, 0);
+    assert.equal(row('callsign'), 'DLH4AB');
+    assert.equal(row('velocity'), '82.3');
+    assert.equal(row('squawk'), '');
+    assert.equal(row('activeConfig'), 'westerly');
+});
+
+test('flightsToCsv keeps feed text from being read as a spreadsheet formula', () => {
+    const csv = flightsToCsv([
+        { icao24: '3c6744', callsign: '=HYPERLINK("x")', operator: '+49', registration: '@SUM', aircraftType: '-1', verticalRate: -3.5 },
+    ], 'westerly');
+    const row = csvRow(csv, 0);
+    assert.ok(csv.includes(`"'=HYPERLINK(""x"")"`));
+    assert.equal(row('operator'), "'+49");
+    assert.equal(row('registration'), "'@SUM");
+    assert.equal(row('aircraftType'), "'-1");
+    // Numbers are left alone
+    assert.equal(row('verticalRate'), '-3.5');
+});
+
+test('predict classifies the mock traffic for a westerly configuration', () => {
+    const result = predict(mock.states, eddf, { time: mock.time });
+    assert.equal(result.config, 'westerly');
+
+    const arrival = byCallsign(result.flights, 'DLH4AB');
+    assert.ok(arrival.isArriving);
+    assert.equal(arrival.predictedRunway, '25C');
+    assert.ok(arrival.confidence > 0.9);
+    assert.ok(arrival.remainingDistance > 0 && arrival.timeToThreshold > 0);
+    assert.ok(arrival.eta > mock.time);
+
+    const departure = byCallsign(result.flights, 'KLM1776');
+    assert.ok(departure.isDeparting);
+    assert.equal(departure.departureRunway, '25C');
+    assert.equal(departure.predictedRunway, null);
+});
+
+test('predict only estimates arrival times for arrivals', () => {
+    const { flights } = predict(mock.states, eddf, { time: mock.time });
+    flights.forEach((f) => {
+        if (f.predictedRunway) {
+            assert.ok(f.remainingDistance > 0, f.callsign);
+        } else {
+            assert.equal(f.remainingDistance ?? null, null, f.callsign);
+        }
+    });
+});
+
+test('estimateArrival follows the centerline when established on final', () => {
+    const pos = destinationPoint(RWY_25C.threshold.lat, RWY_25C.threshold.lng, 69, 10);
+    const flight = { latitude: pos.lat, longitude: pos.lng, velocity: 80, predictedRunway: '25C', lastUpdate: mock.time };
+
+    const { remainingDistance, timeToThreshold, eta } = estimateArrival(flight, withRunway(RWY_25C));
+    assert.ok(Math.abs(remainingDistance - 10) < 0.05, `remaining ${remainingDistance}`);
+    assert.ok(Math.abs(eta - mock.time - timeToThreshold) < 1e-6);
+});
+
+test('estimateArrival measures from the landing threshold whichever end is defined as it', () => {
+    const flipped = { ...RWY_25C, threshold: RWY_25C.opposite, opposite: RWY_25C.threshold };
+    const pos = destinationPoint(RWY_25C.threshold.lat, RWY_25C.threshold.lng, 69, 10);
+    const flight = { latitude: pos.lat, longitude: pos.lng, velocity: 80, predictedRunway: '25C' };
+
+    const { remainingDistance } = estimateArrival(flight, withRunway(flipped));
+    assert.ok(Math.abs(remainingDistance - 10) < 0.05, `remaining ${remainingDistance}`);
+});
+
+test('estimateArrival joins the centerline when off to the side', () => {
+    const abeam = destinationPoint(RWY_25C.threshold.lat, RWY_25C.threshold.lng, 69, 15);
+    const pos = destinationPoint(abeam.lat, abeam.lng, 159, 5);
+    const flight = { latitude: pos.lat, longitude: pos.lng, velocity: 100, predictedRunway: '25C' };
+
+    const { remainingDistance } = estimateArrival(flight, withRunway(RWY_25C));
+    assert.ok(remainingDistance > 15, `remaining ${remainingDistance}`);
+});
+
+test('estimateArrival needs a runway and a ground speed', () => {
+    const flight = { latitude: 50.1, longitude: 8.7, velocity: null, predictedRunway: '25C' };
+    assert.equal(estimateArrival(flight, airport).eta, null);
+    assert.equal(estimateArrival({ ...flight, velocity: 80, predictedRunway: null }, airport).eta, null);
+});